@@ -8,6 +8,9 @@ const express = require('express');
 const cors = require('cors');
 const stripeLib = require('stripe');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
 
 const app = express();
 
@@ -35,6 +38,55 @@ const gasWebhookUrl =
 // === その他環境変数 ===
 const port = process.env.PORT || 4242;
 
+// このサーバの公開URL（Stripe の戻り先に使う。未設定ならリクエストのホストから組み立てる）
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+function publicBaseUrl_(req) {
+  return PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// リバースプロキシ配下では X-Forwarded-For からクライアントIPを取る（例: TRUST_PROXY=1）
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+
+// ===== ローカル永続ストア（JSONファイル） =====
+// 単一プロセス前提。書き込みは一時ファイル → rename で原子的に置き換える
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+function createJsonFileStore_(name, initialState) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let state = null;
+
+  function get() {
+    if (state) return state;
+
+    try {
+      state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        // 壊れたファイルは退避して空から始める
+        const aside = `${file}.corrupt-${Date.now()}`;
+        console.error(`❌ Store ${name} unreadable, moved to ${aside}:`, e.message);
+        try { fs.renameSync(file, aside); } catch { /* noop */ }
+      }
+      state = initialState();
+    }
+
+    return state;
+  }
+
+  function save() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state || initialState()));
+    fs.renameSync(tmp, file);
+  }
+
+  return { name, file, get, save };
+}
+
 // ===== Beds24 API V2 =====
 const BEDS24_BASE_URL = process.env.BEDS24_BASE_URL || 'https://api.beds24.com/v2';
 const BEDS24_REFRESH_TOKEN = process.env.BEDS24_REFRESH_TOKEN;
@@ -43,15 +95,86 @@ const BEDS24_ROOM_ID = process.env.BEDS24_ROOM_ID;
 const BEDS24_SYNC_FROM_DAYS = -7;
 const BEDS24_SYNC_TO_DAYS = 365;
 
+// ===== Beds24 APIクライアント（タイムアウト・リトライ・401再取得・サーキットブレーカー） =====
+const BEDS24_TIMEOUT_MS = Number(process.env.BEDS24_TIMEOUT_MS || 10000);
+const BEDS24_MAX_RETRIES = Number(process.env.BEDS24_MAX_RETRIES || 3);
+const BEDS24_RETRY_BASE_MS = Number(process.env.BEDS24_RETRY_BASE_MS || 500);
+const BEDS24_RETRY_MAX_WAIT_MS = Number(process.env.BEDS24_RETRY_MAX_WAIT_MS || 10000);
+const BEDS24_CIRCUIT_FAILURE_THRESHOLD = Number(process.env.BEDS24_CIRCUIT_FAILURE_THRESHOLD || 5);
+const BEDS24_CIRCUIT_COOLDOWN_MS = Number(process.env.BEDS24_CIRCUIT_COOLDOWN_SECONDS || 60) * 1000;
+
+// Beds24 停止中の /create-checkout-session の扱い
+// - 'fail_closed': 受付停止（BEDS24_UNAVAILABLE を返す）
+// - 'fail_open'  : 在庫確認を省略して受付（metadata に availabilityUnchecked を残す）
+const BEDS24_DEGRADED_POLICY = process.env.BEDS24_DEGRADED_POLICY === 'fail_open' ? 'fail_open' : 'fail_closed';
+
 let beds24TokenCache = null;
 let beds24TokenFetchedAt = 0;
 
-async function beds24GetAccessToken() {
+const beds24Circuit = {
+  state: 'closed', // 'closed' | 'open' | 'half_open'
+  failures: 0,
+  openedAt: 0,
+  lastError: '',
+};
+
+function sleep_(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function beds24UnavailableError_(message) {
+  const err = new Error(message);
+  err.code = 'BEDS24_UNAVAILABLE';
+  return err;
+}
+
+function isBeds24Unavailable_(err) {
+  return err?.code === 'BEDS24_UNAVAILABLE';
+}
+
+// open 中は冷却時間が過ぎるまで遮断。過ぎたら1リクエストだけ試す（half_open）
+function beds24CircuitAllows_() {
+  if (beds24Circuit.state === 'closed') return true;
+
+  if (beds24Circuit.state === 'open' && Date.now() - beds24Circuit.openedAt >= BEDS24_CIRCUIT_COOLDOWN_MS) {
+    beds24Circuit.state = 'half_open';
+    console.log('🔌 Beds24 circuit half-open: trying one request');
+    return true;
+  }
+
+  return false;
+}
+
+function beds24RecordSuccess_() {
+  if (beds24Circuit.state !== 'closed') console.log('🔌 Beds24 circuit closed');
+  beds24Circuit.state = 'closed';
+  beds24Circuit.failures = 0;
+  beds24Circuit.lastError = '';
+}
+
+function beds24RecordFailure_(message) {
+  beds24Circuit.failures += 1;
+  beds24Circuit.lastError = message;
+
+  if (beds24Circuit.state === 'half_open' || beds24Circuit.failures >= BEDS24_CIRCUIT_FAILURE_THRESHOLD) {
+    if (beds24Circuit.state !== 'open') console.error(`🔌 Beds24 circuit OPEN: ${message}`);
+    beds24Circuit.state = 'open';
+    beds24Circuit.openedAt = Date.now();
+  }
+}
+
+function beds24RetryDelayMs_(attempt, retryAfterHeader) {
+  const retryAfterSec = retryAfterHeader ? Number(retryAfterHeader) : NaN;
+  if (Number.isFinite(retryAfterSec) && retryAfterSec >= 0) return retryAfterSec * 1000;
+  return BEDS24_RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * BEDS24_RETRY_BASE_MS);
+}
+
+async function beds24GetAccessToken({ forceRefresh = false } = {}) {
   if (!BEDS24_REFRESH_TOKEN) throw new Error('Missing BEDS24_REFRESH_TOKEN');
 
   const now = Date.now();
-  // tokenは24時間。安全側に23時間で更新
-  if (beds24TokenCache && now - beds24TokenFetchedAt < 23 * 60 * 60 * 1000) {
+  // tokenは24時間。安全側に23時間で更新（401を受けた場合は forceRefresh）
+  if (!forceRefresh && beds24TokenCache && now - beds24TokenFetchedAt < 23 * 60 * 60 * 1000) {
     return beds24TokenCache;
   }
 
@@ -61,11 +184,14 @@ async function beds24GetAccessToken() {
       accept: 'application/json',
       refreshToken: BEDS24_REFRESH_TOKEN,
     },
+    signal: AbortSignal.timeout(BEDS24_TIMEOUT_MS),
   });
 
   const text = await r.text();
   if (!r.ok) {
-    throw new Error(`Beds24 /authentication/token failed: ${r.status} ${text}`);
+    const err = new Error(`Beds24 /authentication/token failed: ${r.status} ${text}`);
+    err.status = r.status;
+    throw err;
   }
 
   const json = JSON.parse(text);
@@ -77,6 +203,114 @@ async function beds24GetAccessToken() {
   return token;
 }
 
+/**
+ * Beds24 API 共通リクエスト
+ * - タイムアウト（BEDS24_TIMEOUT_MS）
+ * - 5xx / 429 / 通信エラーは指数バックオフで再試行（429 は Retry-After を優先）
+ *   ※ 冪等でない POST（予約作成）は 429 以外再試行しない
+ * - 401 はトークンを強制再取得して1回だけ再試行
+ * - 連続失敗でサーキットを開き、冷却時間中は BEDS24_UNAVAILABLE で即失敗
+ * - 返り値: { ok, status, text, url }（4xx の解釈は呼び出し側）
+ */
+async function beds24Request_(method, pathname, options = {}) {
+  const { query, body, label = `${method} ${pathname}` } = options;
+  const idempotent = options.idempotent ?? method === 'GET';
+
+  if (!beds24CircuitAllows_()) {
+    throw beds24UnavailableError_(`Beds24 circuit open, skip ${label}: ${beds24Circuit.lastError}`);
+  }
+
+  // half_open の試行がどの経路で終わっても成功・失敗のどちらかを記録する
+  // （記録しないまま抜けると half_open のまま全リクエストが遮断され続ける）
+  const probe = beds24Circuit.state === 'half_open';
+  try {
+    return await beds24RequestWithRetry_(method, pathname, { query, body, label, idempotent });
+  } finally {
+    if (probe && beds24Circuit.state === 'half_open') {
+      beds24RecordFailure_(`Beds24 ${label} probe ended without a response`);
+    }
+  }
+}
+
+async function beds24RequestWithRetry_(method, pathname, { query, body, label, idempotent }) {
+  const url = new URL(`${BEDS24_BASE_URL}${pathname}`);
+  Object.entries(query || {}).forEach(([k, v]) => {
+    if (v !== undefined && v !== null && v !== '') url.searchParams.set(k, String(v));
+  });
+
+  let tokenRefreshed = false;
+
+  for (let attempt = 0; ; attempt += 1) {
+    let r;
+    let text;
+
+    try {
+      const token = await beds24GetAccessToken();
+      r = await fetch(url.toString(), {
+        method,
+        headers: {
+          accept: 'application/json',
+          ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+          token,
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(BEDS24_TIMEOUT_MS),
+      });
+      text = await r.text();
+    } catch (e) {
+      // トークン取得の 4xx（refresh token 不正など）は再試行しても直らない
+      if (e.status && e.status < 500 && e.status !== 429) throw e;
+
+      const message = `Beds24 ${label} request failed: ${e.message}`;
+      if (idempotent && attempt < BEDS24_MAX_RETRIES) {
+        const wait = beds24RetryDelayMs_(attempt);
+        console.warn(`⚠️ ${message} (retry ${attempt + 1}/${BEDS24_MAX_RETRIES} in ${wait}ms)`);
+        await sleep_(wait);
+        continue;
+      }
+
+      beds24RecordFailure_(message);
+      throw beds24UnavailableError_(message);
+    }
+
+    if (r.status === 401 && !tokenRefreshed) {
+      console.warn(`🔑 Beds24 ${label} returned 401, refreshing token`);
+      tokenRefreshed = true;
+      beds24TokenCache = null;
+      try {
+        await beds24GetAccessToken({ forceRefresh: true });
+      } catch (e) {
+        // refresh token 不正などの 4xx は設定の問題なのでそのまま返す
+        if (e.status && e.status < 500 && e.status !== 429) throw e;
+
+        const message = `Beds24 ${label} token refresh failed: ${e.message}`;
+        beds24RecordFailure_(message);
+        throw beds24UnavailableError_(message);
+      }
+      continue;
+    }
+
+    const retryable = r.status === 429 || (r.status >= 500 && idempotent);
+    if (retryable && attempt < BEDS24_MAX_RETRIES) {
+      const wait = beds24RetryDelayMs_(attempt, r.status === 429 ? r.headers.get('retry-after') : null);
+      if (wait <= BEDS24_RETRY_MAX_WAIT_MS) {
+        console.warn(`⚠️ Beds24 ${label} returned ${r.status} (retry ${attempt + 1}/${BEDS24_MAX_RETRIES} in ${wait}ms)`);
+        await sleep_(wait);
+        continue;
+      }
+    }
+
+    if (r.status === 429 || r.status >= 500) {
+      const message = `Beds24 ${label} failed: ${r.status} ${text.slice(0, 500)}`;
+      beds24RecordFailure_(message);
+      throw beds24UnavailableError_(message);
+    }
+
+    beds24RecordSuccess_();
+    return { ok: r.ok, status: r.status, text, url: url.toString() };
+  }
+}
+
 function formatYmdJst_(date) {
   const y = date.getFullYear();
   const m = String(date.getMonth() + 1).padStart(2, '0');
@@ -163,67 +397,100 @@ function normalizeBeds24CalendarRows_(json) {
   return [];
 }
 
+// ===== Beds24 予約一覧（ページング） =====
+// /bookings は pages.nextPageExists が true の間 page=2,3... で続きを返す
+const BEDS24_MAX_PAGES = Number(process.env.BEDS24_MAX_PAGES || 20);
+
+/**
+ * /bookings を全ページ取得する
+ * - 返り値: { rows, pages, capped }
+ *   capped: BEDS24_MAX_PAGES で打ち切った（続きが残っている）
+ */
+async function beds24ListBookings_(query, label) {
+  const rows = [];
+  let page = 1;
+  let capped = false;
+
+  for (;;) {
+    const r = await beds24Request_('GET', '/bookings', {
+      label: page > 1 ? `${label} p${page}` : label,
+      query: page > 1 ? { ...query, page } : query,
+    });
+
+    const text = r.text;
+    if (!r.ok) {
+      throw new Error(`Beds24 /bookings ${label} failed: ${r.status} ${text}`);
+    }
+
+    const json = safeJsonParse_(text);
+    if (Array.isArray(json.data)) rows.push(...json.data);
+
+    if (!json.pages?.nextPageExists) break;
+
+    if (page >= BEDS24_MAX_PAGES) {
+      capped = true;
+      console.warn(`⚠️ Beds24 /bookings ${label} capped at ${BEDS24_MAX_PAGES} pages (rows=${rows.length})`);
+      break;
+    }
+
+    page += 1;
+  }
+
+  return { rows, pages: page, capped };
+}
+
 /**
  * Beds24の在庫を最終確認する
  * - checkin は到着日
  * - checkout は出発日
  * - 宿泊在庫は checkin 〜 (checkoutの前日) を確認
+ * - ignoreHolds: 決済完了後の再チェックなど、ローカルの仮押さえを無視して Beds24 だけ見る場合
+ * - excludeBookingIds: 日程変更で自分自身の予約を重なりとみなさない場合
  * - 返り値:
  *   { ok: true }
  *   { ok: false, reason: '...', detail: ... }
+ * - 一覧が BEDS24_MAX_PAGES で打ち切られ、重なりも見つからなかった場合は BEDS24_UNAVAILABLE を投げる
+ *   （空室とも満室とも判断できない）
  */
-async function beds24CheckAvailability(checkin, checkout) {
+async function beds24CheckAvailability(checkin, checkout, { ignoreHolds = false, excludeBookingIds = [] } = {}) {
   const startedAt = Date.now();
 
   if (!checkin || !checkout) {
     return { ok: false, reason: 'checkin/checkout missing' };
   }
 
-  const token = await beds24GetAccessToken();
+  // ✅ 決済中の他セッションが押さえている日程は Beds24 に聞くまでもなく不可
+  const hold = ignoreHolds ? null : findOverlappingInventoryHold_(checkin, checkout);
+  if (hold) {
+    return {
+      ok: false,
+      reason: 'held by another checkout session',
+      holdId: hold.id,
+      holdExpiresAt: hold.expiresAt,
+    };
+  }
 
   if (!BEDS24_PROPERTY_ID) throw new Error('Missing BEDS24_PROPERTY_ID');
   if (!BEDS24_ROOM_ID) throw new Error('Missing BEDS24_ROOM_ID');
 
-  const url = new URL(`${BEDS24_BASE_URL}/bookings`);
-  url.searchParams.set('propertyId', String(BEDS24_PROPERTY_ID));
-  url.searchParams.set('roomId', String(BEDS24_ROOM_ID));
-  url.searchParams.set('from', checkin);
-  url.searchParams.set('to', checkout);
-  url.searchParams.set('includeInvoiceItems', 'false');
-  url.searchParams.set('includeInfoItems', 'false');
+  console.log(`🛏️ beds24CheckAvailability start: ${checkin}..${checkout}`);
 
-  console.log('🛏️ beds24CheckAvailability start:', url.toString());
-
-  const r = await fetch(url.toString(), {
-    method: 'GET',
-    headers: {
-      accept: 'application/json',
-      token,
-    },
-  });
+  const list = await beds24ListBookings_({
+    propertyId: BEDS24_PROPERTY_ID,
+    roomId: BEDS24_ROOM_ID,
+    from: checkin,
+    to: checkout,
+    includeInvoiceItems: 'false',
+    includeInfoItems: 'false',
+  }, 'availability lookup');
 
-  const text = await r.text();
   console.log('🛏️ beds24CheckAvailability fetch ms =', Date.now() - startedAt);
 
-  if (!r.ok) {
-    throw new Error(`Beds24 /bookings availability lookup failed: ${r.status} ${text}`);
-  }
-
-  let json;
-  try {
-    json = JSON.parse(text);
-  } catch {
-    throw new Error(`Beds24 bookings response is not JSON: ${text}`);
-  }
-
-  const rows = Array.isArray(json.data) ? json.data : [];
-
-  const hasOverlap = rows.some((row) => {
-    const status = String(row.status || '').toLowerCase();
+  const rows = list.rows;
 
-    if (status.includes('cancel') || status.includes('deleted')) {
-      return false;
-    }
+  const conflicts = rows.filter((row) => {
+    if (!isActiveBeds24Booking_(row)) return false;
+    if (excludeBookingIds.includes(String(row.id || row.bookingId || ''))) return false;
 
     const arrival = String(row.arrival || '').slice(0, 10);
     const departure = String(row.departure || '').slice(0, 10);
@@ -235,1037 +502,4835 @@ async function beds24CheckAvailability(checkin, checkout) {
 
   console.log('🛏️ beds24CheckAvailability total ms =', Date.now() - startedAt);
 
-  if (hasOverlap) {
+  if (conflicts.length) {
     return {
       ok: false,
       reason: 'overlapping booking exists',
+      conflicts,
       detail: rows,
     };
   }
 
+  // 一覧が打ち切られていると重なりを見落とし得るので、空室とは判断しない
+  if (list.capped) {
+    throw beds24UnavailableError_(`Beds24 booking list capped at ${list.pages} pages for ${checkin}..${checkout}`);
+  }
+
   return { ok: true };
 }
 
-// === Stripe初期化 ===
-if (!stripeSecretKey) {
-  throw new Error('Missing STRIPE_SECRET_KEY in environment variables.');
+function isActiveBeds24Booking_(row) {
+  const status = String(row?.status || '').toLowerCase();
+  return !(status.includes('cancel') || status.includes('deleted'));
 }
-const stripe = stripeLib(stripeSecretKey);
 
-// ===== 売り止め設定（JST基準） =====
-const SELL_STOP_HOUR = 12;
-const SELL_STOP_MIN = 0;
+// Beds24 API: 日別カレンダー（料金・minStay・override）を取得
+async function beds24GetCalendar_(from, to) {
+  if (!BEDS24_ROOM_ID) throw new Error('Missing BEDS24_ROOM_ID');
 
-// JSTで現在時刻を取得
-function nowJST() {
-  const now = new Date();
-  return new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Tokyo' }));
-}
+  const r = await beds24Request_('GET', '/inventory/rooms/calendar', {
+    label: 'calendar lookup',
+    query: {
+      roomId: BEDS24_ROOM_ID,
+      from,
+      to,
+      includePrices: 'true',
+      includeMinStay: 'true',
+      includeOverride: 'true',
+      includeNumAvail: 'true',
+    },
+  });
+
+  const text = r.text;
+  if (!r.ok) {
+    throw new Error(`Beds24 /inventory/rooms/calendar lookup failed: ${r.status} ${text}`);
+  }
+
+  const json = safeJsonParse_(text);
 
-function isAfterSellStop(now) {
-  const h = now.getHours();
-  const m = now.getMinutes();
-  return h > SELL_STOP_HOUR || (h === SELL_STOP_HOUR && m >= SELL_STOP_MIN);
+  return {
+    from,
+    to,
+    rows: normalizeBeds24CalendarRows_(json),
+    raw: json,
+  };
 }
 
-function isTomorrowJST(checkinStr) {
-  if (!checkinStr) return false;
+/**
+ * normalizeBeds24CalendarRows_ の結果を「1泊=1キー」の Map にする
+ * - 日別行（date / day / ...）はそのまま
+ * - 期間行（from〜to）は日別に展開
+ */
+function expandBeds24CalendarNights_(rows) {
+  const nights = new Map();
+
+  (rows || []).forEach((row) => {
+    if (!row) return;
+
+    const date =
+      row.date ||
+      row.day ||
+      row.currentDate ||
+      row.roomDate ||
+      row.calendarDate ||
+      '';
+
+    if (date) {
+      nights.set(String(date).slice(0, 10), row);
+      return;
+    }
 
-  const now = nowJST();
-  const today = new Date(now);
-  today.setHours(0, 0, 0, 0);
+    const from = String(row.from || '').slice(0, 10);
+    const to = String(row.to || row.from || '').slice(0, 10);
+    if (!from || !to) return;
 
-  const tomorrow = new Date(today);
-  tomorrow.setDate(today.getDate() + 1);
+    for (let d = from; d <= to; d = addDaysYmd_(d, 1)) {
+      nights.set(d, row);
+    }
+  });
 
-  // 🔥 YYYY-MM-DD を安全に分解して生成（UTCズレ防止）
-  const [y, m, d] = checkinStr.split('-').map(Number);
-  const checkin = new Date(y, m - 1, d);
+  return nights;
+}
 
-  return (
-    checkin.getFullYear() === tomorrow.getFullYear() &&
-    checkin.getMonth() === tomorrow.getMonth() &&
-    checkin.getDate() === tomorrow.getDate()
-  );
+function beds24NightlyRate_(row) {
+  if (!row) return NaN;
+  const value = row.price1 ?? row.price ?? row.rate;
+  return value === undefined || value === null || value === '' ? NaN : Number(value);
 }
 
-function isAtLeast48HoursBeforeCheckinJST(checkinStr) {
-  if (!checkinStr) return false;
+// ===== 料金見積（Quote） =====
+// 金額はクライアントを信用せず、Beds24カレンダーの1泊料金からサーバで算出する
+const QUOTE_SIGNING_SECRET = process.env.QUOTE_SIGNING_SECRET || '';
+const QUOTE_TTL_MINUTES = Number(process.env.QUOTE_TTL_MINUTES || 15);
+const QUOTE_MAX_NIGHTS = Number(process.env.QUOTE_MAX_NIGHTS || 30);
+
+// 1泊料金に含まれる大人人数と、追加料金（1人1泊あたり・円）
+const QUOTE_BASE_ADULTS = Number(process.env.QUOTE_BASE_ADULTS || 2);
+const QUOTE_EXTRA_ADULT_PER_NIGHT = Number(process.env.QUOTE_EXTRA_ADULT_PER_NIGHT || 0);
+const QUOTE_CHILD11_PER_NIGHT = Number(process.env.QUOTE_CHILD11_PER_NIGHT || 0);
+const QUOTE_CHILD6_PER_NIGHT = Number(process.env.QUOTE_CHILD6_PER_NIGHT || 0);
+const QUOTE_CHILD3_PER_NIGHT = Number(process.env.QUOTE_CHILD3_PER_NIGHT || 0);
+
+function isValidYmd_(ymd) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(ymd || ''))) return false;
+  return formatYmdJst_(parseYmdToLocalDate_(ymd)) === ymd;
+}
 
-  const now = nowJST();
+function countNights_(checkin, checkout) {
+  const ms = parseYmdToLocalDate_(checkout).getTime() - parseYmdToLocalDate_(checkin).getTime();
+  return Math.round(ms / (24 * 60 * 60 * 1000));
+}
 
-  // チェックインは15:00基準（JST）
-  const [y, m, d] = checkinStr.split('-').map(Number);
-  const checkin = new Date(y, m - 1, d, 15, 0, 0); // JSTローカル扱い
+function normalizeGuestCounts_(src) {
+  const toCount = (v) => {
+    const n = Number(v || 0);
+    return Number.isInteger(n) && n >= 0 ? n : NaN;
+  };
 
-  const diffMs = checkin.getTime() - now.getTime();
-  return diffMs >= 48 * 60 * 60 * 1000;
+  return {
+    adults: toCount(src.adults),
+    child11: toCount(src.child11),
+    child6: toCount(src.child6),
+    child3: toCount(src.child3),
+  };
 }
 
-app.use(cors());
+/**
+ * 宿泊料金を算出する（Beds24カレンダーが正本）
+ * - 返り値:
+ *   { ok: true, quote: {...} }
+ *   { ok: false, code: '...', error: '...' }
+ */
+async function buildStayQuote_(input) {
+  const fail = (code, params = {}) => ({ ok: false, code, error: t_('ja', code, params), params });
+  const checkin = String(input.checkin || '');
+  const checkout = String(input.checkout || '');
 
-function safeJsonParse_(text) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    return { raw: text };
+  if (!isValidYmd_(checkin) || !isValidYmd_(checkout) || checkout <= checkin) {
+    return fail('INVALID_DATES');
   }
-}
 
-// ✅ Webhook用：rawボディ保持（署名検証のため）
-app.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const signature = req.headers['stripe-signature'];
-  let event;
+  const nights = countNights_(checkin, checkout);
+  if (nights > QUOTE_MAX_NIGHTS) {
+    return fail('TOO_MANY_NIGHTS', { maxNights: QUOTE_MAX_NIGHTS });
+  }
 
-  try {
-    if (!webhookSecret) {
-      throw new Error('STRIPE_WEBHOOK_SECRET is not configured.');
+  const guests = normalizeGuestCounts_(input);
+  if (Object.values(guests).some((n) => Number.isNaN(n)) || guests.adults < 1) {
+    return fail('INVALID_GUESTS');
+  }
+
+  const lastNight = addDaysYmd_(checkout, -1);
+  const calendar = await beds24GetCalendar_(checkin, lastNight);
+  const calendarNights = expandBeds24CalendarNights_(calendar.rows);
+
+  const extraAdults = Math.max(0, guests.adults - QUOTE_BASE_ADULTS);
+  const extrasPerNight =
+    extraAdults * QUOTE_EXTRA_ADULT_PER_NIGHT +
+    guests.child11 * QUOTE_CHILD11_PER_NIGHT +
+    guests.child6 * QUOTE_CHILD6_PER_NIGHT +
+    guests.child3 * QUOTE_CHILD3_PER_NIGHT;
+
+  const nightly = [];
+  for (let d = checkin; d < checkout; d = addDaysYmd_(d, 1)) {
+    const rate = beds24NightlyRate_(calendarNights.get(d));
+    if (!Number.isFinite(rate) || rate <= 0) {
+      console.warn(`⚠️ Quote: nightly rate missing for ${d}`);
+      return fail('RATE_UNAVAILABLE', { date: d });
     }
-    event = stripe.webhooks.constructEvent(req.body, signature, webhookSecret);
-  } catch (err) {
-    console.error('❌ Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+    nightly.push({ date: d, rate, extras: extrasPerNight });
   }
 
-  try {
-    // イベントタイプ別処理
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object;
+  const amount = nightly.reduce((sum, n) => sum + n.rate + n.extras, 0);
 
-      const pmTypes = session.payment_method_types || [];
-      const paymentMethod = pmTypes.includes('konbini') ? 'konbini' : 'card';
+  return {
+    ok: true,
+    quote: {
+      v: 1,
+      qid: crypto.randomBytes(8).toString('hex'),
+      checkin,
+      checkout,
+      nights,
+      ...guests,
+      currency: 'jpy',
+      amount,
+      nightly,
+      exp: Date.now() + QUOTE_TTL_MINUTES * 60 * 1000,
+    },
+  };
+}
 
-      let status = '支払い完了';
+function signQuote_(quote) {
+  if (!QUOTE_SIGNING_SECRET) throw new Error('Missing QUOTE_SIGNING_SECRET');
 
-      if (paymentMethod === 'konbini') {
-        status = session.payment_status === 'paid' ? '支払い完了' : '支払い待ち';
-      } else {
-        status = session.payment_status === 'paid' ? '支払い完了' : '仮予約';
-      }
+  // 明細（nightly）はトークンに含めない
+  const { nightly, ...claims } = quote;
+  const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const sig = crypto.createHmac('sha256', QUOTE_SIGNING_SECRET).update(body).digest('base64url');
+  return `${body}.${sig}`;
+}
 
-      // ✅ 仮予約/支払い待ちの時点で Beds24 に予約作成して在庫を押さえる
-      const md = session.metadata || {};
-      const existing = await beds24FindExistingBookingBySessionId(
-        session.id,
-        md.checkin || undefined,
-        md.checkout || undefined
-      );
+/**
+ * 見積トークンを検証する
+ * - 返り値:
+ *   { ok: true, quote: {...} }
+ *   { ok: false, code: 'QUOTE_REQUIRED' | 'QUOTE_INVALID' | 'QUOTE_EXPIRED' }
+ */
+function verifyQuoteToken_(token) {
+  if (!token) return { ok: false, code: 'QUOTE_REQUIRED' };
+  if (!QUOTE_SIGNING_SECRET) throw new Error('Missing QUOTE_SIGNING_SECRET');
 
-      let beds24BookingId = '';
+  const [body, sig] = String(token).split('.');
+  if (!body || !sig) return { ok: false, code: 'QUOTE_INVALID' };
 
-      if (!existing) {
-        const beds24Result = await beds24CreateBookingFromSession(session, paymentMethod, status);
-        beds24BookingId = extractBeds24BookingIdFromCreateResult(beds24Result);
-      
-        console.log(
-          '✅ Beds24 booking created from checkout.session.completed:',
-          JSON.stringify(beds24Result).slice(0, 1000)
-        );
-        console.log(`✅ Extracted Beds24 bookingId: ${beds24BookingId || '(not found)'}`);
-      
-        if (beds24BookingId) {
-          try {
-            const stayRuleResult = await beds24ApplyStayRules_(
-              md.checkin || '',
-              md.checkout || ''
-            );
-      
-            console.log(
-              '✅ Beds24 stay rules applied right after create:',
-              JSON.stringify(stayRuleResult).slice(0, 1000)
-            );
-          } catch (stayRuleErr) {
-            console.error(
-              '⚠️ Beds24 booking was created but stay rules apply failed:',
-              stayRuleErr.message
-            );
-          }
-        }
-      
-      } else {
-        beds24BookingId = String(existing.id || existing.bookingId || '');
-        console.log(
-          `ℹ️ Beds24 booking already exists for session ${session.id} (bookingId=${beds24BookingId})`
-        );
-      }
+  const expected = crypto.createHmac('sha256', QUOTE_SIGNING_SECRET).update(body).digest();
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, code: 'QUOTE_INVALID' };
+  }
 
-      const payload = {
-        type: event.type,
-        data: { object: session },
-        payment_status: status,
-        payment_method: paymentMethod,
-        beds24_booking_id: beds24BookingId,
-      };
-      await forwardEventToGas(payload);
-
-    } else if (event.type === 'payment_intent.succeeded') {
-      const paymentIntent = event.data.object;
-    
-      const sessions = await stripe.checkout.sessions.list({
-        payment_intent: paymentIntent.id,
-        limit: 1,
-      });
-    
-      const session = sessions.data[0];
-      if (session) {
-        const pmTypes = session.payment_method_types || [];
-        const paymentMethod = pmTypes.includes('konbini') ? 'konbini' : 'card';
-        const md = session.metadata || {};
-    
-        // ✅ Beds24の自社予約を支払い完了に更新
-        const updated = await beds24UpdateBookingStatusBySessionId(
-          session.id,
-          md.checkin || undefined,
-          md.checkout || undefined,
-          'confirmed'
-        );
-    
-        console.log(
-          '✅ Beds24 booking updated from payment_intent.succeeded:',
-          JSON.stringify(updated).slice(0, 1000)
-        );
-    
-        const payload = {
-          type: 'payment_intent.succeeded',
-          data: { object: session },
-          payment_status: '支払い完了',
-          payment_method: paymentMethod,
-        };
-    
-        await forwardEventToGas(payload);
-      }
+  let quote;
+  try {
+    quote = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return { ok: false, code: 'QUOTE_INVALID' };
+  }
 
-    } else if (event.type === 'payment_intent.canceled') {
-      const paymentIntent = event.data.object;
-      const customerEmail = paymentIntent.receipt_email || paymentIntent.metadata?.email || '';
+  if (!Number.isFinite(quote.exp) || Date.now() > quote.exp) {
+    return { ok: false, code: 'QUOTE_EXPIRED' };
+  }
 
-      const sessions = await stripe.checkout.sessions.list({
-        payment_intent: paymentIntent.id,
-        limit: 1,
-      });
+  return { ok: true, quote };
+}
 
-      const session = sessions.data[0] || null;
-      const md = session?.metadata || {};
+// === Stripe初期化 ===
+if (!stripeSecretKey) {
+  throw new Error('Missing STRIPE_SECRET_KEY in environment variables.');
+}
+const stripe = stripeLib(stripeSecretKey);
 
-      if (session) {
-        const canceled = await beds24CancelBookingBySessionId(
-          session.id,
-          md.checkin || undefined,
-          md.checkout || undefined
-        );
-        console.log(
-          '🗑️ Beds24 booking canceled from payment_intent.canceled:',
-          JSON.stringify(canceled).slice(0, 1000)
-        );
-      }
+// ===== ゲスト向け表示（日本語／英語・HTML テンプレート） =====
+// 言語は ?lang= → 予約 metadata.lang → Accept-Language → DEFAULT_LANG の順に決める。
+// 選んだ言語は Checkout Session の metadata.lang に残し、GAS にも渡す（メール文面を合わせるため）
+const SUPPORTED_LANGS = ['ja', 'en'];
+const DEFAULT_LANG = SUPPORTED_LANGS.includes(process.env.DEFAULT_LANG) ? process.env.DEFAULT_LANG : 'ja';
 
-      try {
-        const clearedStayRules = await beds24ClearStayRules_(
-          md.checkin || '',
-          md.checkout || ''
-        );
-      
-        console.log(
-          '🧹 Beds24 stay rules clear result from payment_intent.canceled:',
-          JSON.stringify(clearedStayRules).slice(0, 1000)
-        );
-      } catch (clearErr) {
-        console.error(
-          '⚠️ Failed to clear stay rules after payment_intent.canceled:',
-          clearErr.message
-        );
-      }
+// 'en-US' → 'en'。未対応は ''
+function normalizeLang_(value) {
+  const base = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGS.includes(base) ? base : '';
+}
 
-      const payload = {
-        type: 'payment_intent.canceled',
-        data: session ? { object: session } : null,
-        email: customerEmail,
-        payment_intent: paymentIntent.id,
-        payment_status: 'キャンセル',
-        payment_method: 'konbini',
-      };
+// Accept-Language: "en-US,en;q=0.9,ja;q=0.8" → q 値の高い対応言語
+function parseAcceptLanguage_(header) {
+  const ranked = String(header || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...opts] = part.trim().split(';');
+      const q = opts.map((o) => o.trim()).find((o) => o.startsWith('q='));
+      return { lang: normalizeLang_(tag), q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter((entry) => entry.lang && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  return ranked[0]?.lang || '';
+}
 
-      await forwardEventToGas(payload);
-    }
+function resolveLang_(req, md = {}) {
+  return (
+    normalizeLang_(req.query?.lang) ||
+    normalizeLang_(req.body?.lang) ||
+    normalizeLang_(md?.lang) ||
+    parseAcceptLanguage_(req.headers?.['accept-language']) ||
+    DEFAULT_LANG
+  );
+}
 
-    return res.json({ received: true });
-  } catch (err) {
-    console.error('Failed to forward event to GAS:', err.message);
-    return res.status(500).send(`Forward Error: ${err.message}`);
-  }
-});
+// 文言カタログ（関数は params を受け取る）。キーはフロントに返す code と揃える
+const MESSAGES = {
+  ja: {
+    // 予約受付ルール
+    INVALID_DATES: 'チェックイン日・チェックアウト日が不正です。',
+    CHECKIN_IN_PAST: '過去の日付は予約できません。',
+    SAME_DAY_NOT_ALLOWED: '当日のチェックインは受け付けておりません。',
+    BEYOND_BOOKING_HORIZON: (p) => `${p.maxCheckin} より先のご予約はまだ受け付けておりません。`,
+    LEAD_TIME_TOO_SHORT: (p) => `チェックインの${p.minLeadHours}時間前までにご予約ください。`,
+    SELL_STOP_PASSED: (p) => `${p.checkin} チェックインのご予約受付は ${p.cutoffAt} で終了しました。`,
+    // season: シーズン別の設定による制限か（既定値なら「この時期は」を付けない）
+    MIN_NIGHTS: (p) => `${p.season ? 'この時期は' : ''}${p.minNights}泊以上でご予約ください。`,
+    MAX_NIGHTS: (p) => `${p.season ? 'この時期は' : ''}${p.maxNights}泊までのご予約となります。`,
+
+    // 見積・空室カレンダー
+    TOO_MANY_NIGHTS: (p) => `${p.maxNights}泊を超える予約は見積できません。`,
+    INVALID_GUESTS: '人数の指定が不正です。',
+    RATE_UNAVAILABLE: (p) => `${p.date} の料金が取得できませんでした。`,
+    INVALID_RANGE: 'from と to を YYYY-MM-DD で指定してください。例: /availability?from=2026-03-01&to=2026-03-31',
+    RANGE_TOO_LONG: (p) => `指定できる期間は最大${p.maxDays}日です。`,
+
+    // Checkout 作成
+    QUOTE_REQUIRED: '料金の見積が無効または期限切れです。もう一度お見積りからやり直してください。',
+    QUOTE_INVALID: '料金の見積が無効または期限切れです。もう一度お見積りからやり直してください。',
+    QUOTE_EXPIRED: '料金の見積が無効または期限切れです。もう一度お見積りからやり直してください。',
+    QUOTE_MISMATCH: '見積内容と予約内容（日程・人数）が一致しません。',
+    AMOUNT_MISMATCH: '金額が見積と一致しません。',
+    BEDS24_UNAVAILABLE: '現在、空室確認システムに接続できないため予約を受け付けできません。しばらく時間をおいて再度お試しください。',
+    INVENTORY_HELD: 'ただいま他のお客様がこの日程でお手続き中です。しばらく時間をおいてから再度ご確認ください。',
+    AVAILABILITY_CHANGED: '他サイトから予約が入ったため、この日程は現在選択できません。最新の空室状況を反映するため、カレンダーを再読み込みしてから再度ご確認ください。',
+    RATE_LIMITED: '短時間に多くのお申し込みがありました。しばらく時間をおいてから再度お試しください。',
+    CAPTCHA_REQUIRED: '画面の認証を完了してから再度お試しください。',
+    CAPTCHA_FAILED: '認証を確認できませんでした。ページを再読み込みしてからもう一度お試しください。',
+    CAPTCHA_UNAVAILABLE: '現在、認証サービスに接続できません。しばらく時間をおいてから再度お試しください。',
+    CHECKOUT_ITEM_NAME: '宿泊予約',
+    CUSTOM_ITEM_NAME: '個別予約',
+
+    // 予約リンク共通
+    LINK_INVALID: 'URLが不正です（必要な情報が不足しています）。',
+    BOOKING_NOT_FOUND: '予約情報が見つかりませんでした。',
+    TOKEN_MISMATCH: 'トークンが一致しません。',
+    LABEL_SEPARATOR: '：',
+    CHECKIN: 'チェックイン',
+    CHECKOUT: 'チェックアウト',
+    FREE_CANCEL_UNTIL: '無料キャンセル期限',
+
+    // キャンセル
+    CANCEL_LINK_INVALID: 'キャンセルURLが不正です（必要な情報が不足しています）。',
+    CANCEL_TOKEN_MISMATCH: 'キャンセルトークンが一致しません。',
+    PAYMENT_NOT_FOUND: '決済情報（PaymentIntent）が見つかりませんでした。',
+    ALREADY_CANCELED: 'この予約はすでにキャンセル済みです。',
+    NOT_CANCELABLE_AFTER_CHECKIN: 'チェックイン日を過ぎているため、オンラインでのキャンセルはできません。',
+    NOT_CANCELABLE_ADDITIONAL_PAYMENTS: '日程変更で追加のお支払いがあるため、オンラインでのキャンセルはできません。お手数ですがご連絡ください。',
+    NOT_CANCELABLE: 'この予約は現在キャンセルできない状態です。お手数ですがご連絡ください。',
+    CANCEL_PLAN_VOID: 'カードの仮押さえを取り消します。料金は請求されません。',
+    CANCEL_PLAN_VOID_UNPAID: 'お支払い前のため、料金は発生しません。',
+    CANCEL_PLAN_PARTIAL_CAPTURE: (p) => `キャンセル料 ${p.charge} を請求し、残り ${p.refund} の仮押さえを取り消します。`,
+    CANCEL_PLAN_REFUND: (p) => `お支払い額 ${p.paid} のうち ${p.refund}（${p.percent}%）を返金します。`,
+    CANCEL_PLAN_NO_REFUND: (p) => `キャンセルポリシーにより返金はありません（お支払い額 ${p.paid}）。`,
+    CANCEL_POLICY_TIER: (p) => `チェックイン${p.minDays}日前以降：${p.refundPercent}%返金`,
+    CANCEL_TITLE: 'キャンセル確認',
+    CANCEL_INTRO: '以下の予約をキャンセルします。よろしいですか？',
+    CANCEL_BUTTON: 'この予約をキャンセルする',
+    CANCEL_NOTE: '※ボタンを押すとキャンセル処理が実行されます。',
+    CANCEL_POLICY_HEADING: 'キャンセルポリシー',
+    CANCEL_REFUND_CHANGED: '返金額が変更されました。お手数ですがキャンセル画面を再読み込みしてご確認ください。',
+    CANCEL_STRIPE_FAILED: 'Stripeのキャンセル処理に失敗しました。お手数ですがご連絡ください。',
+    CANCEL_DONE: (p) => `キャンセルが完了しました。${p.summary} ご利用ありがとうございました。`,
+    CANCEL_DONE_SYNC_PENDING: (p) => `キャンセルは完了しました。${p.summary} なお、外部在庫連携の更新に時間がかかる場合があります。`,
+    CANCEL_PAGE_FAILED: 'キャンセル画面の表示に失敗しました。',
+    CANCEL_FAILED: 'キャンセル処理に失敗しました。お手数ですがご連絡ください。',
+
+    // 日程変更
+    MODIFY_LINK_INVALID: '日程変更URLが不正です（必要な情報が不足しています）。',
+    MODIFY_TOKEN_MISMATCH: '日程変更トークンが一致しません。',
+    NOT_MODIFIABLE: 'この予約は現在日程変更できない状態です。お手数ですがご連絡ください。',
+    MODIFY_PAYMENT_INCOMPLETE: 'お支払いが完了していないため、日程変更はできません。',
+    NOT_MODIFIABLE_AFTER_CHECKIN: 'チェックイン当日以降は日程変更できません。お手数ですがご連絡ください。',
+    SAME_DATES: '現在と同じ日程です。',
+    NOT_AVAILABLE: 'ご希望の日程は空きがありません。別の日程をお選びください。',
+    REFUND_EXCEEDS_PAYMENT: '差額の返金額がお支払い額を超えるため、オンラインでは変更できません。お手数ですがご連絡ください。',
+    EXTRA_PAYMENT_REFUND_REQUIRED: '追加でお支払いいただいた差額の返金が必要なため、オンラインでは変更できません。お手数ですがご連絡ください。',
+    MODIFY_PLAN_CHARGE: (p) => `差額 ${p.amount} を追加でお支払いいただきます（次の画面でカード決済）。`,
+    MODIFY_PLAN_REFUND: (p) => `差額 ${p.amount} を返金します。`,
+    MODIFY_PLAN_REDUCE_AUTHORIZATION: (p) => `差額 ${p.amount} 分を減額します（カードには変更後の料金のみ請求されます）。`,
+    MODIFY_PLAN_NO_CHARGE: '料金の変更はありません。',
+    MODIFY_TITLE: '日程変更',
+    MODIFY_CURRENT_CHECKIN: '現在のチェックイン',
+    MODIFY_CURRENT_CHECKOUT: '現在のチェックアウト',
+    MODIFY_CURRENT_AMOUNT: '現在の料金',
+    MODIFY_NEW_CHECKIN: '新しいチェックイン',
+    MODIFY_NEW_CHECKOUT: '新しいチェックアウト',
+    MODIFY_CHECK_BUTTON: '空室と料金を確認する',
+    MODIFY_REVIEW_TITLE: '日程変更の確認',
+    MODIFY_BEFORE: '変更前',
+    MODIFY_AFTER: '変更後',
+    MODIFY_STAY_SUMMARY: (p) => `${p.checkin} 〜 ${p.checkout}（${p.amount}）`,
+    MODIFY_NEW_STAY_SUMMARY: (p) => `${p.checkin} 〜 ${p.checkout}（${p.nights}泊・${p.amount}）`,
+    MODIFY_PAY_BUTTON: 'お支払いへ進む',
+    MODIFY_APPLY_BUTTON: 'この日程に変更する',
+    MODIFY_AMOUNT_CHANGED: '料金が変更されました。お手数ですが日程変更画面からやり直してください。',
+    MODIFY_ITEM_NAME: (p) => `日程変更差額（${p.checkin}〜${p.checkout}）`,
+    MODIFY_DONE: (p) => `日程変更が完了しました。新しい日程：${p.checkin} 〜 ${p.checkout}。${p.summary}`,
+    MODIFY_REFUND_DELAY_NOTE: ' なお、返金処理に時間がかかる場合があります。',
+    MODIFY_PAGE_FAILED: '日程変更画面の表示に失敗しました。',
+    MODIFY_REVIEW_FAILED: '日程変更の確認に失敗しました。',
+    MODIFY_FAILED: '日程変更に失敗しました。お手数ですがご連絡ください。',
+
+    // 予約状況
+    BOOKING_TITLE: 'ご予約状況',
+    BOOKING_NIGHTS: (p) => `（${p.nights}泊）`,
+    BOOKING_GUESTS: '人数',
+    GUESTS_ADULTS: (p) => `大人 ${p.count}名`,
+    GUESTS_CHILD11: (p) => `子ども(〜11歳) ${p.count}名`,
+    GUESTS_CHILD6: (p) => `子ども(〜6歳) ${p.count}名`,
+    GUESTS_CHILD3: (p) => `幼児(〜3歳) ${p.count}名`,
+    GUESTS_SEPARATOR: '、',
+    BOOKING_AMOUNT: '料金',
+    BOOKING_PAYMENT_STATE: 'お支払い状況',
+    BOOKING_REFERENCE: '予約番号',
+    PAYMENT_STATE_CANCELLED: 'キャンセル済み',
+    PAYMENT_STATE_AUTHORIZED: 'カード仮押さえ中（確定前）',
+    PAYMENT_STATE_AWAITING_KONBINI: 'コンビニでのお支払い待ち',
+    PAYMENT_STATE_PAID: 'お支払い完了',
+    PAYMENT_STATE_PROCESSING: 'お支払い処理中',
+    PAYMENT_STATE_PENDING: 'お手続き中',
+    KONBINI_VOUCHER_LINK: 'お支払い方法（コンビニ払込票）を表示する',
+    KONBINI_DEADLINE: 'お支払い期限',
+    BOOKING_PENDING_NOTE: 'お手続きの反映に少し時間がかかる場合があります。しばらくしてから再読み込みしてください。',
+    BOOKING_LOAD_FAILED: '予約情報の取得に失敗しました。',
+    BOOKING_PAGE_FAILED: '予約情報の表示に失敗しました。',
+  },
+
+  en: {
+    INVALID_DATES: 'The check-in or check-out date is invalid.',
+    CHECKIN_IN_PAST: 'Dates in the past cannot be booked.',
+    SAME_DAY_NOT_ALLOWED: 'Same-day check-in is not available.',
+    BEYOND_BOOKING_HORIZON: (p) => `Bookings after ${p.maxCheckin} are not open yet.`,
+    LEAD_TIME_TOO_SHORT: (p) => `Please book at least ${p.minLeadHours} hours before check-in.`,
+    SELL_STOP_PASSED: (p) => `Bookings for check-in on ${p.checkin} closed at ${p.cutoffAt} (JST).`,
+    MIN_NIGHTS: (p) => (p.season
+      ? `A minimum stay of ${p.minNights} nights applies for these dates.`
+      : `The minimum stay is ${p.minNights} nights.`),
+    MAX_NIGHTS: (p) => (p.season
+      ? `The maximum stay for these dates is ${p.maxNights} nights.`
+      : `The maximum stay is ${p.maxNights} nights.`),
+
+    TOO_MANY_NIGHTS: (p) => `Stays longer than ${p.maxNights} nights cannot be quoted online.`,
+    INVALID_GUESTS: 'The number of guests is invalid.',
+    RATE_UNAVAILABLE: (p) => `The price for ${p.date} is not available.`,
+    INVALID_RANGE: 'Specify from and to as YYYY-MM-DD, e.g. /availability?from=2026-03-01&to=2026-03-31',
+    RANGE_TOO_LONG: (p) => `The range can be at most ${p.maxDays} days.`,
+
+    QUOTE_REQUIRED: 'Your price quote is invalid or has expired. Please request a new quote.',
+    QUOTE_INVALID: 'Your price quote is invalid or has expired. Please request a new quote.',
+    QUOTE_EXPIRED: 'Your price quote is invalid or has expired. Please request a new quote.',
+    QUOTE_MISMATCH: 'The booking details (dates or guests) do not match your quote.',
+    AMOUNT_MISMATCH: 'The amount does not match your quote.',
+    BEDS24_UNAVAILABLE: 'We cannot check availability right now, so bookings are temporarily unavailable. Please try again later.',
+    INVENTORY_HELD: 'Another guest is currently booking these dates. Please check again in a little while.',
+    AVAILABILITY_CHANGED: 'These dates were just booked through another site and are no longer available. Please reload the calendar to see the latest availability.',
+    RATE_LIMITED: 'Too many booking attempts in a short time. Please wait a moment and try again.',
+    CAPTCHA_REQUIRED: 'Please complete the verification on the page and try again.',
+    CAPTCHA_FAILED: 'We could not confirm the verification. Please reload the page and try again.',
+    CAPTCHA_UNAVAILABLE: 'The verification service is unavailable right now. Please try again later.',
+    CHECKOUT_ITEM_NAME: 'Accommodation booking',
+    CUSTOM_ITEM_NAME: 'Accommodation booking (custom offer)',
+
+    LINK_INVALID: 'This link is invalid (some information is missing).',
+    BOOKING_NOT_FOUND: 'We could not find this booking.',
+    TOKEN_MISMATCH: 'This link is not valid for this booking.',
+    LABEL_SEPARATOR: ': ',
+    CHECKIN: 'Check-in',
+    CHECKOUT: 'Check-out',
+    FREE_CANCEL_UNTIL: 'Free cancellation until',
+
+    CANCEL_LINK_INVALID: 'This cancellation link is invalid (some information is missing).',
+    CANCEL_TOKEN_MISMATCH: 'This cancellation link is not valid for this booking.',
+    PAYMENT_NOT_FOUND: 'We could not find the payment for this booking.',
+    ALREADY_CANCELED: 'This booking has already been cancelled.',
+    NOT_CANCELABLE_AFTER_CHECKIN: 'The check-in date has passed, so this booking cannot be cancelled online.',
+    NOT_CANCELABLE_ADDITIONAL_PAYMENTS: 'This booking has an additional payment from a date change, so it cannot be cancelled online. Please contact us.',
+    NOT_CANCELABLE: 'This booking cannot be cancelled at the moment. Please contact us.',
+    CANCEL_PLAN_VOID: 'The hold on your card will be released. You will not be charged.',
+    CANCEL_PLAN_VOID_UNPAID: 'No payment has been made, so there is no charge.',
+    CANCEL_PLAN_PARTIAL_CAPTURE: (p) => `A cancellation fee of ${p.charge} will be charged and the remaining hold of ${p.refund} will be released.`,
+    CANCEL_PLAN_REFUND: (p) => `${p.refund} (${p.percent}%) of your payment of ${p.paid} will be refunded.`,
+    CANCEL_PLAN_NO_REFUND: (p) => `Under the cancellation policy there is no refund (amount paid: ${p.paid}).`,
+    CANCEL_POLICY_TIER: (p) => `Cancelled ${p.minDays} or more days before check-in: ${p.refundPercent}% refund`,
+    CANCEL_TITLE: 'Confirm cancellation',
+    CANCEL_INTRO: 'Do you want to cancel the following booking?',
+    CANCEL_BUTTON: 'Cancel this booking',
+    CANCEL_NOTE: 'The cancellation is processed as soon as you press the button.',
+    CANCEL_POLICY_HEADING: 'Cancellation policy',
+    CANCEL_REFUND_CHANGED: 'The refund amount has changed. Please reload the cancellation page and check again.',
+    CANCEL_STRIPE_FAILED: 'We could not process the cancellation with our payment provider. Please contact us.',
+    CANCEL_DONE: (p) => `Your booking has been cancelled. ${p.summary} Thank you.`,
+    CANCEL_DONE_SYNC_PENDING: (p) => `Your booking has been cancelled. ${p.summary} It may take a little while for availability to update.`,
+    CANCEL_PAGE_FAILED: 'We could not display the cancellation page.',
+    CANCEL_FAILED: 'We could not process the cancellation. Please contact us.',
+
+    MODIFY_LINK_INVALID: 'This date change link is invalid (some information is missing).',
+    MODIFY_TOKEN_MISMATCH: 'This date change link is not valid for this booking.',
+    NOT_MODIFIABLE: 'The dates of this booking cannot be changed at the moment. Please contact us.',
+    MODIFY_PAYMENT_INCOMPLETE: 'The dates cannot be changed because payment has not been completed.',
+    NOT_MODIFIABLE_AFTER_CHECKIN: 'The dates cannot be changed on or after the check-in date. Please contact us.',
+    SAME_DATES: 'These are the same dates as your current booking.',
+    NOT_AVAILABLE: 'The selected dates are not available. Please choose other dates.',
+    REFUND_EXCEEDS_PAYMENT: 'The refund for the difference would exceed the amount paid, so this change cannot be made online. Please contact us.',
+    EXTRA_PAYMENT_REFUND_REQUIRED: 'This change would require refunding an additional payment, so it cannot be made online. Please contact us.',
+    MODIFY_PLAN_CHARGE: (p) => `You will pay the difference of ${p.amount} by card on the next screen.`,
+    MODIFY_PLAN_REFUND: (p) => `The difference of ${p.amount} will be refunded.`,
+    MODIFY_PLAN_REDUCE_AUTHORIZATION: (p) => `The price will be reduced by ${p.amount}; only the new price will be charged to your card.`,
+    MODIFY_PLAN_NO_CHARGE: 'The price does not change.',
+    MODIFY_TITLE: 'Change dates',
+    MODIFY_CURRENT_CHECKIN: 'Current check-in',
+    MODIFY_CURRENT_CHECKOUT: 'Current check-out',
+    MODIFY_CURRENT_AMOUNT: 'Current price',
+    MODIFY_NEW_CHECKIN: 'New check-in',
+    MODIFY_NEW_CHECKOUT: 'New check-out',
+    MODIFY_CHECK_BUTTON: 'Check availability and price',
+    MODIFY_REVIEW_TITLE: 'Confirm date change',
+    MODIFY_BEFORE: 'Before',
+    MODIFY_AFTER: 'After',
+    MODIFY_STAY_SUMMARY: (p) => `${p.checkin} – ${p.checkout} (${p.amount})`,
+    MODIFY_NEW_STAY_SUMMARY: (p) => `${p.checkin} – ${p.checkout} (${p.nights} ${p.nights === 1 ? 'night' : 'nights'}, ${p.amount})`,
+    MODIFY_PAY_BUTTON: 'Continue to payment',
+    MODIFY_APPLY_BUTTON: 'Change to these dates',
+    MODIFY_AMOUNT_CHANGED: 'The price has changed. Please start again from the date change page.',
+    MODIFY_ITEM_NAME: (p) => `Date change difference (${p.checkin} – ${p.checkout})`,
+    MODIFY_DONE: (p) => `Your dates have been changed. New dates: ${p.checkin} – ${p.checkout}. ${p.summary}`,
+    MODIFY_REFUND_DELAY_NOTE: ' The refund may take a little while to process.',
+    MODIFY_PAGE_FAILED: 'We could not display the date change page.',
+    MODIFY_REVIEW_FAILED: 'We could not check the date change.',
+    MODIFY_FAILED: 'We could not change the dates. Please contact us.',
+
+    BOOKING_TITLE: 'Your booking',
+    BOOKING_NIGHTS: (p) => ` (${p.nights} ${p.nights === 1 ? 'night' : 'nights'})`,
+    BOOKING_GUESTS: 'Guests',
+    GUESTS_ADULTS: (p) => `${p.count} ${p.count === 1 ? 'adult' : 'adults'}`,
+    GUESTS_CHILD11: (p) => `${p.count} ${p.count === 1 ? 'child' : 'children'} (up to 11)`,
+    GUESTS_CHILD6: (p) => `${p.count} ${p.count === 1 ? 'child' : 'children'} (up to 6)`,
+    GUESTS_CHILD3: (p) => `${p.count} ${p.count === 1 ? 'infant' : 'infants'} (up to 3)`,
+    GUESTS_SEPARATOR: ', ',
+    BOOKING_AMOUNT: 'Price',
+    BOOKING_PAYMENT_STATE: 'Payment',
+    BOOKING_REFERENCE: 'Booking number',
+    PAYMENT_STATE_CANCELLED: 'Cancelled',
+    PAYMENT_STATE_AUTHORIZED: 'Card authorized (not yet charged)',
+    PAYMENT_STATE_AWAITING_KONBINI: 'Awaiting payment at a convenience store',
+    PAYMENT_STATE_PAID: 'Paid',
+    PAYMENT_STATE_PROCESSING: 'Processing',
+    PAYMENT_STATE_PENDING: 'In progress',
+    KONBINI_VOUCHER_LINK: 'Show convenience store payment instructions',
+    KONBINI_DEADLINE: 'Pay by',
+    BOOKING_PENDING_NOTE: 'It may take a moment for your payment to be reflected. Please reload this page shortly.',
+    BOOKING_LOAD_FAILED: 'We could not load your booking.',
+    BOOKING_PAGE_FAILED: 'We could not display your booking.',
+  },
+};
+
+// 未訳のキーは日本語にフォールバック
+function t_(lang, key, params = {}) {
+  const msg = MESSAGES[lang]?.[key] ?? MESSAGES.ja[key];
+  if (msg === undefined) return key;
+  return typeof msg === 'function' ? msg(params) : msg;
+}
 
-// ✅ 他のルートは通常JSONパーサー
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json({ limit: '1mb' }));
+// 日時表示（JST固定・言語ごとの書式）
+function formatJstDateTimeForLang_(date, lang) {
+  return date.toLocaleString(lang === 'en' ? 'en-GB' : 'ja-JP', {
+    timeZone: 'Asia/Tokyo',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
 
-// ===== Beds24 Booking Webhook 受信 =====
-const BEDS24_WEBHOOK_TOKEN = process.env.BEDS24_WEBHOOK_TOKEN || '';
+// --- HTML テンプレート ---
+// html_`...${value}...` は埋め込んだ値を必ずエスケープする。
+// html_ の結果（と、その配列）だけはエスケープせずにそのまま埋め込む
+const SAFE_HTML = Symbol('safeHtml');
 
-// ✅ Beds24 webhook 疎通チェック（ブラウザ用GET）
-app.get('/beds24/webhook/booking', (req, res) => {
-  const token = String(req.query.token || '');
-  if (!BEDS24_WEBHOOK_TOKEN) {
-    return res.status(500).send('BEDS24_WEBHOOK_TOKEN missing');
-  }
-  if (token !== BEDS24_WEBHOOK_TOKEN) {
-    return res.status(403).send('Forbidden (token mismatch)');
-  }
-  return res.status(200).send('OK (token verified)');
-});
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
 
-function buildBeds24SyncWindow_() {
-  const today = new Date();
+function escapeHtml_(value) {
+  return String(value).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+}
 
-  const from = new Date(today);
-  from.setDate(from.getDate() + BEDS24_SYNC_FROM_DAYS);
+function renderHtmlValue_(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderHtmlValue_).join('');
+  if (value[SAFE_HTML]) return value.text;
+  return escapeHtml_(value);
+}
 
-  const to = new Date(today);
-  to.setDate(to.getDate() + BEDS24_SYNC_TO_DAYS);
+function html_(strings, ...values) {
+  const text = strings.reduce(
+    (out, s, i) => out + s + (i < values.length ? renderHtmlValue_(values[i]) : ''),
+    ''
+  );
+  return { [SAFE_HTML]: true, text };
+}
 
-  return {
-    from: formatYmdJst_(from),
-    to: formatYmdJst_(to),
-  };
+// <li>ラベル：値</li>
+function labelledItem_(lang, key, value) {
+  return html_`<li>${t_(lang, key)}${t_(lang, 'LABEL_SEPARATOR')}${value}</li>`;
 }
 
-async function beds24ListBookingsInWindow_(from, to) {
-  const token = await beds24GetAccessToken();
+// ゲスト向けページの共通レイアウト（文字列を返す）
+function renderGuestPage_(lang, title, body) {
+  return html_`<!doctype html>
+<html lang="${lang}">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${title}</title>
+  </head>
+  <body style="font-family: sans-serif; max-width: 720px; margin: 40px auto; padding: 0 16px;">
+    ${body}
+  </body>
+</html>`.text;
+}
 
-  if (!BEDS24_PROPERTY_ID) throw new Error('Missing BEDS24_PROPERTY_ID');
-  if (!BEDS24_ROOM_ID) throw new Error('Missing BEDS24_ROOM_ID');
+// ===== 予約受付ルール（JST基準） =====
+// BOOKING_RULES_JSON で上書きできる。例:
+// {
+//   "minLeadHours": 0,                 // チェックイン（15:00）までの最短時間
+//   "maxAdvanceDays": 365,             // 何日先まで受け付けるか
+//   "sameDayBooking": false,           // 当日チェックインを受け付けるか
+//   "cutoff": { "daysBefore": 1, "hour": 12, "minute": 0 },   // 受付締切（既定: 前日12:00）
+//   "cutoffOverrides": [
+//     { "date": "2026-12-31", "daysBefore": 2, "hour": 17 },  // 日付指定
+//     { "from": "07-20", "to": "08-31", "hour": 10 }           // 期間（MM-DD、年またぎ可）
+//   ],
+//   "minNights": 1, "maxNights": 30,
+//   "seasons": [ { "from": "07-20", "to": "08-31", "minNights": 2, "maxNights": 14 } ]
+// }
+const SELL_STOP_HOUR = 12;
+const SELL_STOP_MIN = 0;
 
-  const url = new URL(`${BEDS24_BASE_URL}/bookings`);
-  url.searchParams.set('propertyId', String(BEDS24_PROPERTY_ID));
-  url.searchParams.set('roomId', String(BEDS24_ROOM_ID));
-  url.searchParams.set('from', String(from));
-  url.searchParams.set('to', String(to));
-  url.searchParams.set('includeInvoiceItems', 'false');
-  url.searchParams.set('includeInfoItems', 'false');
+const DEFAULT_BOOKING_RULES = {
+  minLeadHours: 0,
+  maxAdvanceDays: 365,
+  sameDayBooking: false,
+  cutoff: { daysBefore: 1, hour: SELL_STOP_HOUR, minute: SELL_STOP_MIN },
+  cutoffOverrides: [],
+  minNights: 1,
+  maxNights: QUOTE_MAX_NIGHTS,
+  seasons: [],
+};
+
+function parseBookingRules_(text) {
+  const rules = { ...DEFAULT_BOOKING_RULES, ...(text ? JSON.parse(text) : {}) };
+  rules.cutoff = { ...DEFAULT_BOOKING_RULES.cutoff, ...(rules.cutoff || {}) };
+  rules.cutoffOverrides = Array.isArray(rules.cutoffOverrides) ? rules.cutoffOverrides : [];
+  rules.seasons = Array.isArray(rules.seasons) ? rules.seasons : [];
+  return rules;
+}
 
-  console.log('📚 Beds24 snapshot fetch:', url.toString());
+const BOOKING_RULES = parseBookingRules_(process.env.BOOKING_RULES_JSON);
 
-  const r = await fetch(url.toString(), {
-    method: 'GET',
-    headers: {
-      accept: 'application/json',
-      token,
-    },
-  });
+// JSTで現在時刻を取得
+function nowJST() {
+  const now = new Date();
+  return new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Tokyo' }));
+}
 
-  const text = await r.text();
-  if (!r.ok) {
-    throw new Error(`Beds24 /bookings snapshot failed: ${r.status} ${text}`);
-  }
+// "MM-DD" 期間（年またぎ可）に ymd が含まれるか
+function isInMonthDayRange_(ymd, from, to) {
+  const md = String(ymd).slice(5);
+  return from <= to ? md >= from && md <= to : md >= from || md <= to;
+}
 
-  const json = safeJsonParse_(text);
-  const rows = Array.isArray(json.data) ? json.data : [];
+function matchesDateRule_(rule, ymd) {
+  if (rule.date) return rule.date === ymd;
+  if (rule.from && rule.to) return isInMonthDayRange_(ymd, rule.from, rule.to);
+  return false;
+}
 
-  console.log(`📚 Beds24 snapshot rows=${rows.length} window=${from}..${to}`);
+function resolveCutoffForCheckin_(checkin) {
+  const override = BOOKING_RULES.cutoffOverrides.find((rule) => matchesDateRule_(rule, checkin));
+  return { ...BOOKING_RULES.cutoff, ...(override || {}) };
+}
 
+function resolveNightLimits_(checkin) {
+  const season = BOOKING_RULES.seasons.find((rule) => matchesDateRule_(rule, checkin)) || {};
   return {
-    from,
-    to,
-    rows,
-    raw: json,
+    minNights: Number(season.minNights ?? BOOKING_RULES.minNights),
+    maxNights: Number(season.maxNights ?? BOOKING_RULES.maxNights),
+    minFromSeason: season.minNights !== undefined,
+    maxFromSeason: season.maxNights !== undefined,
   };
 }
 
-// Beds24 API: 予約を1件作成
-async function beds24CreateBookingFromSession(session, paymentMethod = 'card', paymentStatus = '支払い完了') {
-  const token = await beds24GetAccessToken();
+function formatJstDateTime_(date) {
+  return `${formatYmdJst_(date)} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
 
-  if (!BEDS24_PROPERTY_ID) throw new Error('Missing BEDS24_PROPERTY_ID');
-  if (!BEDS24_ROOM_ID) throw new Error('Missing BEDS24_ROOM_ID');
+/**
+ * 予約受付ルールを判定する
+ * - 返り値:
+ *   { ok: true }
+ *   { ok: false, code: '...', error: '...', params: {...} }
+ * - code はフロントで文言を出し分けるためのもの
+ */
+function evaluateBookingRules_(checkin, checkout, now = nowJST()) {
+  // error は日本語（ゲスト向けの応答では code / params から t_() で言語を合わせる）
+  const fail = (code, params = {}) => ({ ok: false, code, error: t_('ja', code, params), params });
 
-  const md = session.metadata || {};
+  if (!isValidYmd_(checkin) || !isValidYmd_(checkout) || checkout <= checkin) {
+    return fail('INVALID_DATES');
+  }
 
-  const checkin = md.checkin || '';
-  const checkout = md.checkout || '';
+  const today = formatYmdJst_(now);
 
-  if (!checkin || !checkout) {
-    throw new Error('Beds24 booking requires metadata.checkin and metadata.checkout');
+  if (checkin < today) {
+    return fail('CHECKIN_IN_PAST');
   }
 
-  const firstName =
-  md.kanjiFirstName ||
-  md.firstName ||
-  md.name ||
-  'Guest';
+  if (checkin === today && !BOOKING_RULES.sameDayBooking) {
+    return fail('SAME_DAY_NOT_ALLOWED');
+  }
 
-  const lastName =
-  md.kanjiLastName ||
-  md.lastName ||
-  'Direct Booking';
+  const maxCheckin = addDaysYmd_(today, Number(BOOKING_RULES.maxAdvanceDays));
+  if (checkin > maxCheckin) {
+    return fail('BEYOND_BOOKING_HORIZON', { maxCheckin, maxAdvanceDays: Number(BOOKING_RULES.maxAdvanceDays) });
+  }
 
-  const email = md.email || session.customer_details?.email || session.customer_email || '';
-  const phone =
-    md.phone ||
-    md.tel ||
-    session.customer_details?.phone ||
-    '';
+  // チェックインは15:00基準（JST）
+  const [y, m, d] = checkin.split('-').map(Number);
+  const checkinAt = new Date(y, m - 1, d, 15, 0, 0);
+  const leadHours = (checkinAt.getTime() - now.getTime()) / (60 * 60 * 1000);
+  if (leadHours < Number(BOOKING_RULES.minLeadHours)) {
+    return fail('LEAD_TIME_TOO_SHORT', { minLeadHours: Number(BOOKING_RULES.minLeadHours) });
+  }
 
-  const numAdult = Math.max(1, Number(md.adults || md.numAdults || md.adultCount || 1));
+  const cutoff = resolveCutoffForCheckin_(checkin);
+  const cutoffAt = new Date(y, m - 1, d - Number(cutoff.daysBefore), Number(cutoff.hour), Number(cutoff.minute || 0), 0);
+  if (now.getTime() >= cutoffAt.getTime()) {
+    return fail('SELL_STOP_PASSED', { checkin, cutoffAt: formatJstDateTime_(cutoffAt) });
+  }
 
-  const child11 = Number(md.child11 || 0);
-  const child6  = Number(md.child6 || 0);
-  const child3  = Number(md.child3 || 0);
+  const nights = countNights_(checkin, checkout);
+  const { minNights, maxNights, minFromSeason, maxFromSeason } = resolveNightLimits_(checkin);
 
-  const numChild = Math.max(
-    0,
-    Number(md.children || md.numChildren || md.childCount || (child11 + child6 + child3))
-  );
+  if (nights < minNights) {
+    return fail('MIN_NIGHTS', { nights, minNights, season: minFromSeason });
+  }
 
-  const amountTotal =
-    typeof session.amount_total === 'number'
-      ? session.amount_total
-      : Number(md.total || 0);
+  if (nights > maxNights) {
+    return fail('MAX_NIGHTS', { nights, maxNights, season: maxFromSeason });
+  }
 
-      const commentLines = [
-        'Direct booking sync from stay-oceanus.com',
-        session.id ? `Stripe session: ${session.id}` : '',
-        session.payment_intent ? `PaymentIntent: ${session.payment_intent}` : '',
-        paymentStatus ? `Payment status: ${paymentStatus}` : '',
-        paymentMethod ? `Payment method: ${paymentMethod}` : '',
-        md.detail ? `Detail: ${md.detail}` : '',
-      ].filter(Boolean);
+  return { ok: true, nights };
+}
 
-    const payload = [
-    {
-      propertyId: Number(BEDS24_PROPERTY_ID),
-      roomId: Number(BEDS24_ROOM_ID),
-      status: 'new',
-      arrival: checkin,
-      departure: checkout,
-      numAdult,
-      numChild,
-      firstName,
-      lastName,
-      email,
-      phone,
-      referer: 'API',
-      comments: commentLines.join('\n'),
-      price: amountTotal ? Number(amountTotal) : 0,
-    },
-  ];
+function isAtLeast48HoursBeforeCheckinJST(checkinStr) {
+  if (!checkinStr) return false;
 
-  const r = await fetch(`${BEDS24_BASE_URL}/bookings`, {
-    method: 'POST',
-    headers: {
-      accept: 'application/json',
-      'content-type': 'application/json',
-      token,
-    },
-    body: JSON.stringify(payload),
-  });
+  const now = nowJST();
 
-  const text = await r.text();
-  if (!r.ok) {
-    throw new Error(`Beds24 /bookings create failed: ${r.status} ${text}`);
-  }
+  // チェックインは15:00基準（JST）
+  const [y, m, d] = checkinStr.split('-').map(Number);
+  const checkin = new Date(y, m - 1, d, 15, 0, 0); // JSTローカル扱い
 
-  return safeJsonParse_(text);
+  const diffMs = checkin.getTime() - now.getTime();
+  return diffMs >= 48 * 60 * 60 * 1000;
 }
 
-function extractBeds24BookingIdFromCreateResult(result) {
-  if (!result) return '';
-
-  // トップレベルが配列のケース
-  if (Array.isArray(result) && result[0]) {
-    const first = result[0];
-
-    if (first.id) return String(first.id);
-    if (first.bookingId) return String(first.bookingId);
+app.use(cors());
 
-    if (first.new?.id) return String(first.new.id);
-    if (first.new?.bookingId) return String(first.new.bookingId);
+function safeJsonParse_(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { raw: text };
+  }
+}
 
-    if (Array.isArray(first.data) && first.data[0]) {
-      if (first.data[0].id) return String(first.data[0].id);
-      if (first.data[0].bookingId) return String(first.data[0].bookingId);
-    }
+// ===== 在庫の仮押さえ（Checkout Session の有効期限まで） =====
+// セッション作成から checkout.session.completed（＝Beds24予約作成）までの間、
+// 同じ日程で別のセッションが作られないようローカルに押さえる。
+// 期限は Session の expires_at ＋猶予（期限直前の完了 webhook の遅延分）
+const CHECKOUT_SESSION_TTL_MINUTES = Math.min(
+  Math.max(Number(process.env.CHECKOUT_SESSION_TTL_MINUTES || 30), 30),
+  24 * 60
+); // Stripe の制約: 30分〜24時間
+const INVENTORY_HOLD_GRACE_SECONDS = Number(process.env.INVENTORY_HOLD_GRACE_SECONDS || 300);
+
+const inventoryHoldStore = createJsonFileStore_('inventory-holds', () => ({ holds: {} }));
+
+// 期限切れを掃除して有効な押さえだけ返す
+function getActiveInventoryHolds_() {
+  const state = inventoryHoldStore.get();
+  const now = Date.now();
+  let pruned = false;
 
-    if (Array.isArray(first.bookings) && first.bookings[0]) {
-      if (first.bookings[0].id) return String(first.bookings[0].id);
-      if (first.bookings[0].bookingId) return String(first.bookings[0].bookingId);
+  Object.keys(state.holds).forEach((id) => {
+    if (state.holds[id].expiresAt <= now) {
+      console.log(`🔓 Inventory hold expired: ${id} (session=${state.holds[id].sessionId || '-'})`);
+      delete state.holds[id];
+      pruned = true;
     }
-  }
+  });
 
-  // トップレベルがオブジェクトのケース
-  if (result.id) return String(result.id);
-  if (result.bookingId) return String(result.bookingId);
+  if (pruned) inventoryHoldStore.save();
+  return state.holds;
+}
 
-  if (result.new?.id) return String(result.new.id);
-  if (result.new?.bookingId) return String(result.new.bookingId);
+function findOverlappingInventoryHold_(checkin, checkout) {
+  const holds = getActiveInventoryHolds_();
+  const id = Object.keys(holds).find((holdId) => {
+    const hold = holds[holdId];
+    return hold.checkin < checkout && hold.checkout > checkin;
+  });
 
-  if (Array.isArray(result.data) && result.data[0]) {
-    if (result.data[0].id) return String(result.data[0].id);
-    if (result.data[0].bookingId) return String(result.data[0].bookingId);
-  }
+  return id ? { id, ...holds[id] } : null;
+}
 
-  if (Array.isArray(result.bookings) && result.bookings[0]) {
-    if (result.bookings[0].id) return String(result.bookings[0].id);
-    if (result.bookings[0].bookingId) return String(result.bookings[0].bookingId);
-  }
+function placeInventoryHold_(checkin, checkout, expiresAtSec, source, excludeBookingIds = []) {
+  const state = inventoryHoldStore.get();
+  const id = `hold_${crypto.randomUUID()}`;
+
+  state.holds[id] = {
+    checkin,
+    checkout,
+    sessionId: '',
+    source,
+    excludeBookingIds: excludeBookingIds.map(String), // 日程変更元の自分自身の Beds24 予約（衝突扱いしない）
+    releaseToken: crypto.randomBytes(16).toString('hex'), // cancel_url からの解放用
+    createdAt: Date.now(),
+    expiresAt: expiresAtSec * 1000 + INVENTORY_HOLD_GRACE_SECONDS * 1000,
+  };
+  inventoryHoldStore.save();
 
-  return '';
+  return id;
 }
 
-// Beds24 API: 既存予約チェック（Stripe session.id ベース）
-async function beds24FindExistingBookingBySessionId(sessionId, from, to) {
-  if (!sessionId) return null;
+/**
+ * 在庫の最終チェックと仮押さえ（同時に2つのセッションが同じ日程を通らないよう直列化）
+ * - allowFailOpen: Beds24 停止時にチェック無しで押さえる（BEDS24_DEGRADED_POLICY=fail_open）
+ * - excludeBookingIds: 日程変更時の自分自身の Beds24 予約
+ * - 返り値: { ok: true, holdId, availabilityUnchecked } / { ok: false, status, code, error }
+ */
+async function checkAndHoldInventory_(
+  checkin,
+  checkout,
+  expiresAtSec,
+  source,
+  { allowFailOpen = false, excludeBookingIds = [] } = {}
+) {
+  return withKeyedLock_('inventory-holds', async () => {
+    let availability;
+    let availabilityUnchecked = false;
+
+    try {
+      availability = await beds24CheckAvailability(checkin, checkout, { excludeBookingIds });
+    } catch (e) {
+      if (!isBeds24Unavailable_(e)) throw e;
+
+      if (!allowFailOpen) {
+        console.error(`❌ Beds24 unavailable, ${source} blocked (fail_closed):`, e.message);
+        return {
+          ok: false,
+          status: 503,
+          code: 'BEDS24_UNAVAILABLE',
+          error: t_('ja', 'BEDS24_UNAVAILABLE'),
+        };
+      }
+
+      console.warn(`⚠️ Beds24 unavailable, ${source} continues without availability check (fail_open):`, e.message);
+      availabilityUnchecked = true;
+      availability = { ok: true };
+    }
 
-  const token = await beds24GetAccessToken();
+    if (!availability.ok) {
+      console.warn(`⚠️ Availability changed before ${source} session creation:`, availability);
+
+      if (availability.holdId) {
+        return {
+          ok: false,
+          status: 409,
+          code: 'INVENTORY_HELD',
+          error: t_('ja', 'INVENTORY_HELD'),
+        };
+      }
 
-  const url = new URL(`${BEDS24_BASE_URL}/bookings`);
-  url.searchParams.set('propertyId', String(BEDS24_PROPERTY_ID));
-  url.searchParams.set('roomId', String(BEDS24_ROOM_ID));
+      return {
+        ok: false,
+        status: 409,
+        code: 'AVAILABILITY_CHANGED',
+        error: t_('ja', 'AVAILABILITY_CHANGED'),
+      };
+    }
 
-  if (from) url.searchParams.set('from', String(from));
-  if (to) url.searchParams.set('to', String(to));
+    const holdId = placeInventoryHold_(checkin, checkout, expiresAtSec, source, excludeBookingIds);
 
-  const r = await fetch(url.toString(), {
-    method: 'GET',
-    headers: { accept: 'application/json', token },
+    return {
+      ok: true,
+      holdId,
+      releaseToken: inventoryHoldStore.get().holds[holdId].releaseToken,
+      availabilityUnchecked,
+    };
   });
+}
 
-  const text = await r.text();
-  if (!r.ok) {
-    throw new Error(`Beds24 /bookings lookup failed: ${r.status} ${text}`);
-  }
+function bindInventoryHoldToSession_(holdId, sessionId) {
+  const state = inventoryHoldStore.get();
+  if (!state.holds[holdId]) return;
 
-  const json = safeJsonParse_(text);
-  const rows = Array.isArray(json.data) ? json.data : [];
+  state.holds[holdId].sessionId = sessionId;
+  inventoryHoldStore.save();
+}
 
-  const existing =
-    rows.find((row) => {
-      const comments = String(row.comments || '');
-      return comments.includes(`Stripe session: ${sessionId}`);
-    }) || null;
+/**
+ * 押さえを解放する
+ * - holdId（session.metadata.holdId）優先、無ければ sessionId で探す
+ * - 返り値: 解放した holdId（無ければ ''）
+ */
+function releaseInventoryHold_({ holdId = '', sessionId = '' }, reason) {
+  const state = inventoryHoldStore.get();
+  const id = holdId && state.holds[holdId]
+    ? holdId
+    : Object.keys(state.holds).find((key) => sessionId && state.holds[key].sessionId === sessionId);
 
-  console.log(
-    '🛏️ Beds24 existing booking lookup result:',
-    JSON.stringify(existing || null).slice(0, 1000)
-  );
+  if (!id) return '';
 
-  return existing;
+  delete state.holds[id];
+  inventoryHoldStore.save();
+  console.log(`🔓 Inventory hold released: ${id} (${reason})`);
+
+  return id;
 }
 
-// Beds24 API: Stripe session.id に対応する予約をキャンセル
-async function beds24CancelBookingBySessionId(sessionId, from, to) {
-  if (!sessionId) return null;
+function releaseInventoryHoldForSession_(session, reason) {
+  if (!session?.id) return '';
+  return releaseInventoryHold_({ holdId: session.metadata?.holdId || '', sessionId: session.id }, reason);
+}
 
-  const existing = await beds24FindExistingBookingBySessionId(sessionId, from, to);
-  if (!existing) {
-    console.log(`ℹ️ No Beds24 booking found for session ${sessionId}, skip cancel`);
-    return null;
-  }
+// Checkout の「戻る」（cancel_url）。Stripe は cancel_url の {CHECKOUT_SESSION_ID} を置き換えないので、押さえIDで引く
+const CHECKOUT_CANCEL_REDIRECT_URL =
+  process.env.CHECKOUT_CANCEL_REDIRECT_URL || 'https://stay-oceanus.com/payment_cancel.html';
 
-  const token = await beds24GetAccessToken();
-  const bookingId = Number(existing.id || existing.bookingId || 0);
+function checkoutCancelUrl_(req, holdId, releaseToken) {
+  const params = new URLSearchParams({ hold: holdId, token: releaseToken });
+  return `${publicBaseUrl_(req)}/checkout/cancel?${params}`;
+}
 
-  if (!bookingId) {
-    throw new Error(`Beds24 booking id missing for session ${sessionId}`);
+/**
+ * ゲストが決済画面から戻ったら、その Checkout Session を失効させて仮押さえを解放する
+ * （日程・人数を変えてやり直すときに自分の押さえで INVENTORY_HELD にならないように）
+ * - expire できなかった（完了済み等）場合は押さえを残す。完了・失効の webhook 側で解放される
+ * - 返り値: 解放した押さえID（解放しなかったら ''）
+ */
+async function releaseCheckoutOnCancel_(holdId, token) {
+  const hold = getActiveInventoryHolds_()[holdId];
+  if (!hold?.releaseToken || !timingSafeEqualText_(token, hold.releaseToken)) return '';
+
+  if (hold.sessionId) {
+    try {
+      await stripe.checkout.sessions.expire(hold.sessionId);
+    } catch (e) {
+      console.warn(`⚠️ Checkout cancel: could not expire ${hold.sessionId}, hold kept:`, e.message);
+      return '';
+    }
   }
 
-  // Swaggerで成功した形に合わせる
-  const payload = [
-    {
-      id: bookingId,
-      status: 'cancelled',
-    },
-  ];
+  return releaseInventoryHold_({ holdId }, 'checkout canceled by guest');
+}
 
-  console.log(
+app.get('/checkout/cancel', async (req, res) => {
+  try {
+    await releaseCheckoutOnCancel_(String(req.query.hold || ''), String(req.query.token || ''));
+  } catch (e) {
+    console.error('❌ Checkout cancel error:', e);
+  }
+  return res.redirect(303, CHECKOUT_CANCEL_REDIRECT_URL);
+});
+
+// ===== 決済完了時の二重予約ガード =====
+/**
+ * 完了時に在庫が埋まっていた予約の決済を取り消す
+ * - オーソリ（requires_capture）・未払い（コンビニ等）は PaymentIntent をキャンセル
+ * - 支払い済みは全額返金
+ * - 返り値: { action, paymentIntentId, refundId?, amount? }
+ */
+async function unwindOverbookedPayment_(session) {
+  const paymentIntentId = typeof session.payment_intent === 'string'
+    ? session.payment_intent
+    : session.payment_intent?.id || '';
+
+  if (!paymentIntentId) return { action: 'no_payment_intent', paymentIntentId: '' };
+
+  // 後続の payment_intent.* で確定・キャンセル通知を出さないための印
+  const pi = await stripe.paymentIntents.update(paymentIntentId, {
+    metadata: { overbookedAt: String(Date.now()), checkoutSessionId: session.id },
+  });
+
+  if (pi.status === 'canceled') {
+    return { action: 'already_canceled', paymentIntentId };
+  }
+
+  if (pi.status === 'succeeded') {
+    const refund = await stripe.refunds.create(
+      { payment_intent: paymentIntentId },
+      { idempotencyKey: `overbooking-refund-${paymentIntentId}` }
+    );
+    return { action: 'refunded', paymentIntentId, refundId: refund.id, amount: refund.amount };
+  }
+
+  // requires_capture（オーソリ）/ requires_action（コンビニ支払い待ち）など
+  await stripe.paymentIntents.cancel(paymentIntentId, {}, { idempotencyKey: `overbooking-cancel-${paymentIntentId}` });
+  return {
+    action: pi.status === 'requires_capture' ? 'voided' : 'canceled_unpaid',
+    paymentIntentId,
+  };
+}
+
+function isOverbookedSession_(sessionId) {
+  return getBookingMapping_(sessionId)?.status === 'overbooked';
+}
+
+// GAS・ログ向けに重複した Beds24 予約を要約
+function summarizeBeds24Conflicts_(rows) {
+  return (rows || []).map((row) => ({
+    id: String(row.id || row.bookingId || ''),
+    arrival: String(row.arrival || '').slice(0, 10),
+    departure: String(row.departure || '').slice(0, 10),
+    status: row.status || '',
+    channel: row.channel || row.referer || row.apiSource || '',
+  }));
+}
+
+// ===== OTA予約と競合する決済中セッションの失効 =====
+// 仮押さえ（inventory hold）に紐づく未完了の Checkout Session を、Beds24 スナップショットと突き合わせる
+function isBeds24BookingForSession_(row, sessionId) {
+  const mappedId = lookupMappedBeds24BookingId_(sessionId);
+  if (mappedId && String(row.id || row.bookingId || '') === mappedId) return true;
+
+  return String(row.comments || row.notes || '').includes(`Stripe session: ${sessionId}`);
+}
+
+/**
+ * スナップショットと日程が重なる決済中セッションを expire し、GAS に通知する
+ * - 自分自身の予約（完了処理中に作られたもの）は競合とみなさない
+ * - 完了済みなどで expire できなかったセッションは決済完了時の二重予約ガードに任せる
+ * - 返り値: [{ sessionId, expired, conflicts, error? }]
+ */
+async function expireCheckoutSessionsConflictingWith_(rows, source) {
+  const holds = getActiveInventoryHolds_();
+  const results = [];
+
+  for (const holdId of Object.keys(holds)) {
+    const hold = holds[holdId];
+    if (!hold.sessionId) continue;
+
+    const conflicts = rows.filter((row) => {
+      if (!isActiveBeds24Booking_(row) || isBeds24BookingForSession_(row, hold.sessionId)) return false;
+      if ((hold.excludeBookingIds || []).includes(String(row.id || row.bookingId || ''))) return false;
+
+      const arrival = String(row.arrival || '').slice(0, 10);
+      const departure = String(row.departure || '').slice(0, 10);
+      return arrival && departure && arrival < hold.checkout && departure > hold.checkin;
+    });
+
+    if (!conflicts.length) continue;
+
+    const result = await withKeyedLock_(`session:${hold.sessionId}`, async () => {
+      const summary = summarizeBeds24Conflicts_(conflicts);
+
+      try {
+        const session = await stripe.checkout.sessions.expire(hold.sessionId);
+        console.warn(`⛔ Checkout session ${hold.sessionId} expired by ${source}:`, JSON.stringify(summary));
+
+        // expired webhook 側で二重に通知しないよう記録しておく
+        saveBookingMapping_(hold.sessionId, {
+          checkin: hold.checkin,
+          checkout: hold.checkout,
+          status: 'expired_conflict',
+        });
+        releaseInventoryHold_({ holdId }, 'ota_conflict');
+
+        await notifyEvent_({
+          type: 'checkout_session_expired_conflict',
+          data: { object: session },
+          payment_status: 'キャンセル',
+          payment_method: sessionPaymentMethod_(session),
+          cancel_reason: 'ota_conflict',
+          conflicts: summary,
+        });
+
+        return { sessionId: hold.sessionId, expired: true, conflicts: summary };
+      } catch (e) {
+        console.error(`⚠️ Failed to expire checkout session ${hold.sessionId}:`, e.message);
+        return { sessionId: hold.sessionId, expired: false, conflicts: summary, error: e.message };
+      }
+    });
+
+    results.push(result);
+  }
+
+  return results;
+}
+
+// ===== Stripe webhook の冪等処理 =====
+// 処理済みイベントIDを永続化し、再送・重複配信は記録済みの結果を即返す
+const STRIPE_EVENT_RETENTION_DAYS = Number(process.env.STRIPE_EVENT_RETENTION_DAYS || 30);
+const stripeEventStore = createJsonFileStore_('stripe-events', () => ({ events: {} }));
+
+function getProcessedStripeEvent_(eventId) {
+  return stripeEventStore.get().events[eventId] || null;
+}
+
+function recordProcessedStripeEvent_(event, result) {
+  const state = stripeEventStore.get();
+  const now = Date.now();
+
+  state.events[event.id] = {
+    type: event.type,
+    processedAt: now,
+    result,
+  };
+
+  // 古い記録を掃除（Stripe の再送は最大3日）
+  const cutoff = now - STRIPE_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  Object.keys(state.events).forEach((id) => {
+    if (state.events[id].processedAt < cutoff) delete state.events[id];
+  });
+
+  stripeEventStore.save();
+}
+
+// 処理に失敗したイベント（Stripe が再送してくるので、通知はイベントIDにつき1回だけ）
+const stripeEventFailureStore = createJsonFileStore_('stripe-event-failures', () => ({ events: {} }));
+
+function reportStripeEventFailure_(event, session, error) {
+  const state = stripeEventFailureStore.get();
+  const now = Date.now();
+  const known = state.events[event.id];
+
+  if (known) {
+    known.attempts += 1;
+    known.lastError = String(error?.message || error);
+    stripeEventFailureStore.save();
+    return;
+  }
+
+  const cutoff = now - STRIPE_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  Object.keys(state.events).forEach((id) => {
+    if (state.events[id].failedAt < cutoff) delete state.events[id];
+  });
+
+  state.events[event.id] = { type: event.type, failedAt: now, attempts: 1, lastError: String(error?.message || error) };
+  stripeEventFailureStore.save();
+
+  const beds24 = isBeds24Unavailable_(error) || /^Beds24\b/.test(String(error?.message || ''));
+
+  notifyEvent_({
+    type: beds24 ? 'beds24_write_failed' : 'stripe_webhook_failed',
+    stripe_event_id: event.id,
+    stripe_event_type: event.type,
+    error: String(error?.message || error),
+    ...(session ? { data: { object: session } } : {}),
+  }).catch((e) => console.error('⚠️ Notification failed after webhook failure:', e.message));
+}
+
+// キー単位の直列化ロック（単一プロセス内）
+const keyedLocks = new Map();
+
+async function withKeyedLock_(key, fn) {
+  const previous = keyedLocks.get(key) || Promise.resolve();
+
+  let release;
+  const current = new Promise((resolve) => { release = resolve; });
+  const tail = previous.then(() => current);
+  keyedLocks.set(key, tail);
+
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (keyedLocks.get(key) === tail) keyedLocks.delete(key);
+  }
+}
+
+/**
+ * イベントに対応する Checkout Session を解決し、ロックキーを決める
+ * - checkout.session.* はイベント本体が session
+ * - payment_intent.* は PaymentIntent から session を引く（同じ予約の completed と直列化するため）
+ */
+async function resolveStripeEventContext_(event) {
+  const object = event.data.object;
+
+  if (event.type.startsWith('checkout.session.')) {
+    return { session: object, lockKey: `session:${object.id}` };
+  }
+
+  if (event.type.startsWith('payment_intent.')) {
+    const session = await findSessionByPaymentIntent_(object.id);
+    return {
+      session,
+      lockKey: session ? `session:${session.id}` : `payment_intent:${object.id}`,
+    };
+  }
+
+  return { session: null, lockKey: `event:${event.id}` };
+}
+
+// イベントタイプ別処理（返り値は処理済み記録として保存される）
+async function handleStripeEvent_(event, contextSession) {
+  // 日程変更の追加決済は予約本体とは別扱い（判定はサーバ側の記録で。metadata.kind は表示用）
+  const stayChange = getStayChangeSession_(contextSession?.id);
+  if (stayChange) {
+    return handleStayChangePaymentEvent_(event, contextSession, stayChange);
+  }
+
+  if (event.type === 'checkout.session.completed') {
+    const session = event.data.object;
+
+    const paymentMethod = sessionPaymentMethod_(session);
+
+    let status = '支払い完了';
+
+    if (paymentMethod === 'konbini') {
+      status = session.payment_status === 'paid' ? '支払い完了' : '支払い待ち';
+    } else {
+      status = session.payment_status === 'paid' ? '支払い完了' : '仮予約';
+    }
+
+    if (isOverbookedSession_(session.id)) {
+      console.log(`ℹ️ Session ${session.id} was already unwound as overbooked, skip`);
+      return { action: 'skipped_overbooked', sessionId: session.id };
+    }
+
+    // ✅ 仮予約/支払い待ちの時点で Beds24 に予約作成して在庫を押さえる
+    const md = session.metadata || {};
+    const existing = await beds24FindExistingBookingBySessionId(
+      session.id,
+      md.checkin || undefined,
+      md.checkout || undefined
+    );
+
+    let beds24BookingId = '';
+
+    if (!existing) {
+      // ✅ Stripe 画面にいる間に OTA 予約が入っていないか再チェック（自分の仮押さえは無視）
+      const availability = md.checkin && md.checkout
+        ? await beds24CheckAvailability(md.checkin, md.checkout, { ignoreHolds: true })
+        : { ok: true };
+
+      if (!availability.ok) {
+        const conflicts = summarizeBeds24Conflicts_(availability.conflicts);
+        console.error(`🚨 Overbooking detected for session ${session.id}:`, JSON.stringify(conflicts));
+
+        const unwind = await unwindOverbookedPayment_(session);
+        saveBookingMapping_(session.id, {
+          paymentIntentId: unwind.paymentIntentId,
+          checkin: md.checkin || '',
+          checkout: md.checkout || '',
+          status: 'overbooked',
+        });
+        releaseInventoryHoldForSession_(session, 'overbooking_detected');
+
+        await notifyEvent_({
+          type: 'overbooking_detected',
+          data: { object: session },
+          payment_status: 'キャンセル',
+          payment_method: paymentMethod,
+          unwind,
+          conflicts,
+        });
+
+        return { action: 'overbooking_unwound', sessionId: session.id, unwind, conflicts };
+      }
+
+      const beds24Result = await beds24CreateBookingFromSession(session, paymentMethod, status);
+      beds24BookingId = extractBeds24BookingIdFromCreateResult(beds24Result);
+
+      console.log(
+        '✅ Beds24 booking created from checkout.session.completed:',
+        JSON.stringify(beds24Result).slice(0, 1000)
+      );
+      console.log(`✅ Extracted Beds24 bookingId: ${beds24BookingId || '(not found)'}`);
+
+      await recordBeds24BookingMapping_(session, beds24BookingId);
+
+      if (beds24BookingId) {
+        try {
+          await beds24SyncStayRules_(event.type);
+        } catch (stayRuleErr) {
+          console.error(
+            '⚠️ Beds24 booking was created but stay rules apply failed:',
+            stayRuleErr.message
+          );
+        }
+      }
+
+    } else {
+      beds24BookingId = String(existing.id || existing.bookingId || '');
+      console.log(
+        `ℹ️ Beds24 booking already exists for session ${session.id} (bookingId=${beds24BookingId})`
+      );
+
+      if (!getBookingMapping_(session.id)?.paymentIntentId) {
+        await recordBeds24BookingMapping_(session, beds24BookingId);
+      }
+    }
+
+    // ✅ 以降は Beds24 予約が在庫を押さえるのでローカルの仮押さえは不要
+    releaseInventoryHoldForSession_(session, event.type);
+    updateCustomLinkStatus_(session.id, 'completed', { beds24BookingId });
+
+    const payload = {
+      type: event.type,
+      data: { object: session },
+      payment_status: status,
+      payment_method: paymentMethod,
+      beds24_booking_id: beds24BookingId,
+    };
+    await notifyEvent_(payload);
+
+    return {
+      action: existing ? 'beds24_exists' : 'beds24_created',
+      sessionId: session.id,
+      beds24BookingId,
+      paymentStatus: status,
+    };
+  }
+
+  if (event.type === 'payment_intent.succeeded') {
+    const paymentIntent = event.data.object;
+
+    // ✅ ゲストキャンセルに伴うキャンセル料 capture は予約確定ではない
+    //    （capture 時点ではまだ guestCancelPendingAt の段階）
+    if (paymentIntent.metadata?.guestCanceledAt || paymentIntent.metadata?.guestCancelPendingAt) {
+      console.log(`ℹ️ payment_intent.succeeded for guest-canceled booking ${paymentIntent.id}, skip`);
+      return { action: 'skipped_guest_canceled', paymentIntent: paymentIntent.id };
+    }
+
+    const session = contextSession;
+    if (!session) return { action: 'no_session', paymentIntent: paymentIntent.id };
+
+    // ✅ 二重予約で返金済みの予約は確定扱いにしない
+    if (paymentIntent.metadata?.overbookedAt || isOverbookedSession_(session.id)) {
+      console.log(`ℹ️ payment_intent.succeeded for overbooked session ${session.id}, skip`);
+      return { action: 'skipped_overbooked', paymentIntent: paymentIntent.id };
+    }
+
+    const paymentMethod = sessionPaymentMethod_(session);
+    const md = session.metadata || {};
+
+    // ✅ Beds24の自社予約を支払い完了に更新
+    const updated = await beds24UpdateBookingStatusBySessionId(
+      session.id,
+      md.checkin || undefined,
+      md.checkout || undefined,
+      'confirmed'
+    );
+
+    console.log(
+      '✅ Beds24 booking updated from payment_intent.succeeded:',
+      JSON.stringify(updated).slice(0, 1000)
+    );
+
+    const payload = {
+      type: 'payment_intent.succeeded',
+      data: { object: session },
+      payment_status: '支払い完了',
+      payment_method: paymentMethod,
+    };
+
+    await notifyEvent_(payload);
+
+    return {
+      action: 'beds24_confirmed',
+      sessionId: session.id,
+      beds24BookingId: updated ? String(updated.updatedBookingId || '') : '',
+    };
+  }
+
+  if (event.type === 'payment_intent.canceled') {
+    const paymentIntent = event.data.object;
+    const customerEmail = paymentIntent.receipt_email || paymentIntent.metadata?.email || '';
+
+    const session = contextSession;
+    let released = null;
+
+    // ✅ 二重予約ガードで取り消した決済は overbooking_detected で通知済み
+    if (paymentIntent.metadata?.overbookedAt || (session && isOverbookedSession_(session.id))) {
+      console.log(`ℹ️ payment_intent.canceled for overbooked booking ${paymentIntent.id}, skip`);
+      return { action: 'skipped_overbooked', paymentIntent: paymentIntent.id };
+    }
+
+    if (session) {
+      released = await beds24ReleaseBookingForSession_(session, event.type);
+    }
+
+    const payload = {
+      type: 'payment_intent.canceled',
+      data: session ? { object: session } : null,
+      email: customerEmail,
+      payment_intent: paymentIntent.id,
+      payment_status: 'キャンセル',
+      payment_method: 'konbini',
+    };
+
+    await notifyEvent_(payload);
+
+    return {
+      action: 'beds24_canceled',
+      sessionId: session?.id || '',
+      beds24BookingId: released?.canceled ? String(released.canceled.canceledBookingId || '') : '',
+    };
+  }
+
+  if (event.type === 'checkout.session.async_payment_succeeded') {
+    // ✅ コンビニ等の後払いが入金された → Beds24予約を確定
+    const session = event.data.object;
+    const md = session.metadata || {};
+
+    const updated = await beds24UpdateBookingStatusBySessionId(
+      session.id,
+      md.checkin || undefined,
+      md.checkout || undefined,
+      'confirmed'
+    );
+
+    console.log(
+      '✅ Beds24 booking updated from checkout.session.async_payment_succeeded:',
+      JSON.stringify(updated).slice(0, 1000)
+    );
+
+    const beds24BookingId = updated ? String(updated.updatedBookingId || '') : '';
+
+    await notifyEvent_({
+      type: event.type,
+      data: { object: session },
+      payment_status: '支払い完了',
+      payment_method: sessionPaymentMethod_(session),
+      beds24_booking_id: beds24BookingId,
+    });
+
+    return { action: 'beds24_confirmed', sessionId: session.id, beds24BookingId };
+  }
+
+  if (
+    event.type === 'checkout.session.async_payment_failed' ||
+    event.type === 'checkout.session.expired'
+  ) {
+    // ✅ コンビニ支払期限切れ／決済失敗／セッション期限切れ → 押さえた在庫を解放
+    const session = event.data.object;
+
+    if (isOverbookedSession_(session.id)) {
+      console.log(`ℹ️ ${event.type} for overbooked session ${session.id}, skip`);
+      return { action: 'skipped_overbooked', sessionId: session.id };
+    }
+
+    // ✅ OTA予約との競合で expire したセッションは checkout_session_expired_conflict で通知済み
+    if (getBookingMapping_(session.id)?.status === 'expired_conflict') {
+      releaseInventoryHoldForSession_(session, event.type);
+      return { action: 'skipped_expired_conflict', sessionId: session.id };
+    }
+
+    // ✅ スタッフが取り消した個別決済リンクは custom_link_revoked で通知済み
+    if (getCustomLink_(session.id)?.status === 'revoked') {
+      releaseInventoryHoldForSession_(session, event.type);
+      return { action: 'skipped_custom_link_revoked', sessionId: session.id };
+    }
+
+    if (event.type === 'checkout.session.expired') updateCustomLinkStatus_(session.id, 'expired');
+
+    const released = await beds24ReleaseBookingForSession_(session, event.type);
+    releaseInventoryHoldForSession_(session, event.type);
+
+    await notifyEvent_({
+      type: event.type,
+      data: { object: session },
+      payment_status: 'キャンセル',
+      payment_method: sessionPaymentMethod_(session),
+      cancel_reason: event.type === 'checkout.session.expired' ? 'session_expired' : 'async_payment_failed',
+      beds24_cancel: released.canceled,
+    });
+
+    return {
+      action: 'beds24_released',
+      sessionId: session.id,
+      beds24BookingId: released.canceled ? String(released.canceled.canceledBookingId || '') : '',
+    };
+  }
+
+  return { action: 'ignored' };
+}
+
+// ✅ Webhook用：rawボディ保持（署名検証のため）
+app.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  const signature = req.headers['stripe-signature'];
+  let event;
+
+  try {
+    if (!webhookSecret) {
+      throw new Error('STRIPE_WEBHOOK_SECRET is not configured.');
+    }
+    event = stripe.webhooks.constructEvent(req.body, signature, webhookSecret);
+  } catch (err) {
+    console.error('❌ Webhook signature verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  // ✅ 処理済みなら副作用なしで即200
+  const processed = getProcessedStripeEvent_(event.id);
+  if (processed) {
+    console.log(`ℹ️ Duplicate Stripe event ${event.id} (${event.type}), skip`);
+    return res.json({ received: true, duplicate: true, result: processed.result });
+  }
+
+  let context = null;
+
+  try {
+    context = await resolveStripeEventContext_(event);
+
+    // ✅ 同じ Checkout Session のイベントは直列に処理する
+    const outcome = await withKeyedLock_(context.lockKey, async () => {
+      const again = getProcessedStripeEvent_(event.id);
+      if (again) return { duplicate: true, result: again.result };
+
+      const result = await handleStripeEvent_(event, context.session);
+      recordProcessedStripeEvent_(event, result);
+      return { duplicate: false, result };
+    });
+
+    return res.json({ received: true, ...outcome });
+  } catch (err) {
+    console.error('❌ Webhook handling failed:', err.message);
+    reportStripeEventFailure_(event, context?.session || null, err);
+    return res.status(500).send(`Webhook Handler Error: ${err.message}`);
+  }
+});
+
+// ✅ 他のルートは通常JSONパーサー
+// HMAC 署名検証用に受信したままのボディも保持する（フォーム形式で届いた場合も同じ）
+const keepRawBody_ = (req, _res, buf) => { req.rawBody = buf; };
+app.use(express.urlencoded({ extended: true, verify: keepRawBody_ }));
+app.use(express.json({
+  limit: '1mb',
+  verify: keepRawBody_,
+}));
+
+// ===== レート制限（単一プロセス・メモリ内の固定ウィンドウ） =====
+/**
+ * キー（IPなど）ごとに windowMs あたり limit 回まで許可する
+ * - hit(key) の返り値: { ok, remaining, retryAfterSec }
+ */
+function createRateLimiter_({ limit, windowMs }) {
+  const buckets = new Map();
+
+  function hit(key) {
+    const now = Date.now();
+    let bucket = buckets.get(key);
+
+    if (!bucket || bucket.resetAt <= now) {
+      // 期限切れのバケットはついでに掃除
+      if (buckets.size > 10000) {
+        buckets.forEach((b, k) => { if (b.resetAt <= now) buckets.delete(k); });
+      }
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(key, bucket);
+    }
+
+    bucket.count += 1;
+
+    return {
+      ok: bucket.count <= limit,
+      remaining: Math.max(0, limit - bucket.count),
+      retryAfterSec: Math.ceil((bucket.resetAt - now) / 1000),
+    };
+  }
+
+  return { hit };
+}
+
+function clientIp_(req) {
+  return String(req.ip || req.socket?.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+function ipv4ToInt_(ip) {
+  const parts = String(ip).split('.').map(Number);
+  if (parts.length !== 4 || parts.some((n) => !Number.isInteger(n) || n < 0 || n > 255)) return null;
+  return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+// 完全一致、または IPv4 の CIDR（例: 203.0.113.0/24）
+function ipMatchesAllowlist_(ip, allowlist) {
+  return allowlist.some((entry) => {
+    if (!entry.includes('/')) return entry === ip;
+
+    const [base, bitsText] = entry.split('/');
+    const bits = Number(bitsText);
+    const ipInt = ipv4ToInt_(ip);
+    const baseInt = ipv4ToInt_(base);
+    if (ipInt === null || baseInt === null || !(bits >= 0 && bits <= 32)) return false;
+
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return ((ipInt & mask) >>> 0) === ((baseInt & mask) >>> 0);
+  });
+}
+
+// ===== Beds24 Booking Webhook 受信 =====
+// 認証は次のいずれか（POST はどれも設定されていなければ全拒否）
+// - BEDS24_WEBHOOK_TOKEN: ヘッダ（BEDS24_WEBHOOK_HEADER、既定 x-webhook-token）で受け取る。
+//   旧来の ?token= も互換のため受け付ける（非推奨。URL がログに残る）。ヘッダへ移行したら BEDS24_WEBHOOK_ALLOW_QUERY_TOKEN=false で止める
+// - BEDS24_WEBHOOK_HMAC_SECRET: x-beds24-timestamp と x-beds24-signature（hex HMAC-SHA256 of "timestamp.rawBody"）
+//   許容時刻差の範囲外、または同じ署名の再送は拒否する
+// 加えて BEDS24_WEBHOOK_IP_ALLOWLIST（カンマ区切り、CIDR可）と送信元IPごとのレート制限
+const BEDS24_WEBHOOK_TOKEN = process.env.BEDS24_WEBHOOK_TOKEN || '';
+const BEDS24_WEBHOOK_HEADER = String(process.env.BEDS24_WEBHOOK_HEADER || 'x-webhook-token').toLowerCase();
+const BEDS24_WEBHOOK_ALLOW_QUERY_TOKEN = process.env.BEDS24_WEBHOOK_ALLOW_QUERY_TOKEN !== 'false';
+const BEDS24_WEBHOOK_HMAC_SECRET = process.env.BEDS24_WEBHOOK_HMAC_SECRET || '';
+const BEDS24_WEBHOOK_TOLERANCE_SECONDS = Number(process.env.BEDS24_WEBHOOK_TOLERANCE_SECONDS || 300);
+const BEDS24_WEBHOOK_IP_ALLOWLIST = String(process.env.BEDS24_WEBHOOK_IP_ALLOWLIST || '')
+  .split(',')
+  .map((v) => v.trim())
+  .filter(Boolean);
+const BEDS24_WEBHOOK_RATE_LIMIT = Number(process.env.BEDS24_WEBHOOK_RATE_LIMIT || 30);
+const BEDS24_WEBHOOK_RATE_WINDOW_SECONDS = Number(process.env.BEDS24_WEBHOOK_RATE_WINDOW_SECONDS || 60);
+
+if (BEDS24_WEBHOOK_TOKEN && BEDS24_WEBHOOK_ALLOW_QUERY_TOKEN) {
+  console.warn(`⚠️ Beds24 webhook still accepts the deprecated ?token=; move it to the ${BEDS24_WEBHOOK_HEADER} header and set BEDS24_WEBHOOK_ALLOW_QUERY_TOKEN=false`);
+}
+
+const beds24WebhookRateLimiter = createRateLimiter_({
+  limit: BEDS24_WEBHOOK_RATE_LIMIT,
+  windowMs: BEDS24_WEBHOOK_RATE_WINDOW_SECONDS * 1000,
+});
+
+// HMAC 署名の再送検知（許容時刻差の間だけ覚えておく）
+const seenBeds24WebhookSignatures = new Map();
+
+function verifyBeds24WebhookSignature_(req) {
+  const timestamp = String(req.headers['x-beds24-timestamp'] || '');
+  const signature = String(req.headers['x-beds24-signature'] || '').replace(/^sha256=/, '');
+  if (!timestamp || !signature) return { ok: false, reason: 'signature missing' };
+
+  const skewSec = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(skewSec) || skewSec > BEDS24_WEBHOOK_TOLERANCE_SECONDS) {
+    return { ok: false, reason: 'timestamp out of tolerance' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', BEDS24_WEBHOOK_HMAC_SECRET)
+    .update(`${timestamp}.`)
+    .update(req.rawBody || Buffer.alloc(0))
+    .digest('hex');
+
+  if (!timingSafeEqualText_(signature, expected)) return { ok: false, reason: 'signature mismatch' };
+
+  const now = Date.now();
+  seenBeds24WebhookSignatures.forEach((expiresAt, key) => {
+    if (expiresAt <= now) seenBeds24WebhookSignatures.delete(key);
+  });
+  if (seenBeds24WebhookSignatures.has(signature)) return { ok: false, reason: 'replayed signature' };
+  seenBeds24WebhookSignatures.set(signature, now + BEDS24_WEBHOOK_TOLERANCE_SECONDS * 1000);
+
+  return { ok: true, via: 'hmac' };
+}
+
+/**
+ * Beds24 webhook の認証
+ * - 返り値: { ok: true, via } / { ok: false, status, reason }
+ */
+function authenticateBeds24Webhook_(req) {
+  if (!BEDS24_WEBHOOK_TOKEN && !BEDS24_WEBHOOK_HMAC_SECRET) {
+    return { ok: false, status: 503, reason: 'webhook secret not configured' };
+  }
+
+  if (BEDS24_WEBHOOK_HMAC_SECRET && req.headers['x-beds24-signature']) {
+    const verified = verifyBeds24WebhookSignature_(req);
+    return verified.ok ? verified : { ok: false, status: 401, reason: verified.reason };
+  }
+
+  if (BEDS24_WEBHOOK_TOKEN) {
+    const headerToken = String(req.headers[BEDS24_WEBHOOK_HEADER] || '');
+    if (headerToken && timingSafeEqualText_(headerToken, BEDS24_WEBHOOK_TOKEN)) {
+      return { ok: true, via: 'header' };
+    }
+
+    const queryToken = String(req.query.token || '');
+    if (BEDS24_WEBHOOK_ALLOW_QUERY_TOKEN && queryToken && timingSafeEqualText_(queryToken, BEDS24_WEBHOOK_TOKEN)) {
+      console.warn(`⚠️ Beds24 webhook authenticated by deprecated ?token= from ${clientIp_(req)}; send it in the ${BEDS24_WEBHOOK_HEADER} header instead`);
+      return { ok: true, via: 'query' };
+    }
+  }
+
+  return { ok: false, status: 401, reason: 'missing or invalid credentials' };
+}
+
+// 送信元IPの許可リストとレート制限（認証より前に弾く）
+function guardBeds24WebhookSource_(req, res, next) {
+  const ip = clientIp_(req);
+
+  if (BEDS24_WEBHOOK_IP_ALLOWLIST.length && !ipMatchesAllowlist_(ip, BEDS24_WEBHOOK_IP_ALLOWLIST)) {
+    console.warn(`⛔ Beds24 webhook from non-allowlisted IP ${ip}`);
+    return res.status(403).json({ ok: false, error: 'Forbidden' });
+  }
+
+  const limited = beds24WebhookRateLimiter.hit(ip);
+  if (!limited.ok) {
+    console.warn(`⛔ Beds24 webhook rate limited: ${ip}`);
+    res.set('Retry-After', String(limited.retryAfterSec));
+    return res.status(429).json({ ok: false, error: 'Too Many Requests' });
+  }
+
+  return next();
+}
+
+// ✅ Beds24 webhook 疎通チェック（ブラウザ用GET）
+app.get('/beds24/webhook/booking', guardBeds24WebhookSource_, (req, res) => {
+  const auth = authenticateBeds24Webhook_(req);
+  if (!auth.ok) {
+    return res.status(auth.status).send(`NG (${auth.reason})`);
+  }
+  return res.status(200).send(`OK (verified via ${auth.via})`);
+});
+
+function buildBeds24SyncWindow_() {
+  const today = new Date();
+
+  const from = new Date(today);
+  from.setDate(from.getDate() + BEDS24_SYNC_FROM_DAYS);
+
+  const to = new Date(today);
+  to.setDate(to.getDate() + BEDS24_SYNC_TO_DAYS);
+
+  return {
+    from: formatYmdJst_(from),
+    to: formatYmdJst_(to),
+  };
+}
+
+async function beds24ListBookingsInWindow_(from, to) {
+  if (!BEDS24_PROPERTY_ID) throw new Error('Missing BEDS24_PROPERTY_ID');
+  if (!BEDS24_ROOM_ID) throw new Error('Missing BEDS24_ROOM_ID');
+
+  console.log(`📚 Beds24 snapshot fetch: ${from}..${to}`);
+
+  const list = await beds24ListBookings_({
+    propertyId: BEDS24_PROPERTY_ID,
+    roomId: BEDS24_ROOM_ID,
+    from,
+    to,
+    includeInvoiceItems: 'false',
+    includeInfoItems: 'false',
+  }, 'snapshot');
+
+  const rows = list.rows;
+
+  console.log(
+    `📚 Beds24 snapshot rows=${rows.length} pages=${list.pages}${list.capped ? ' (capped)' : ''} window=${from}..${to}`
+  );
+
+  return {
+    from,
+    to,
+    rows,
+    pages: list.pages,
+    capped: list.capped,
+  };
+}
+
+// Beds24 API: 予約を1件作成
+async function beds24CreateBookingFromSession(session, paymentMethod = 'card', paymentStatus = '支払い完了') {
+  if (!BEDS24_PROPERTY_ID) throw new Error('Missing BEDS24_PROPERTY_ID');
+  if (!BEDS24_ROOM_ID) throw new Error('Missing BEDS24_ROOM_ID');
+
+  const md = session.metadata || {};
+
+  const checkin = md.checkin || '';
+  const checkout = md.checkout || '';
+
+  if (!checkin || !checkout) {
+    throw new Error('Beds24 booking requires metadata.checkin and metadata.checkout');
+  }
+
+  const firstName =
+  md.kanjiFirstName ||
+  md.firstName ||
+  md.name ||
+  'Guest';
+
+  const lastName =
+  md.kanjiLastName ||
+  md.lastName ||
+  'Direct Booking';
+
+  const email = md.email || session.customer_details?.email || session.customer_email || '';
+  const phone =
+    md.phone ||
+    md.tel ||
+    session.customer_details?.phone ||
+    '';
+
+  const numAdult = Math.max(1, Number(md.adults || md.numAdults || md.adultCount || 1));
+
+  const child11 = Number(md.child11 || 0);
+  const child6  = Number(md.child6 || 0);
+  const child3  = Number(md.child3 || 0);
+
+  const numChild = Math.max(
+    0,
+    Number(md.children || md.numChildren || md.childCount || (child11 + child6 + child3))
+  );
+
+  const amountTotal =
+    typeof session.amount_total === 'number'
+      ? session.amount_total
+      : Number(md.total || 0);
+
+      const commentLines = [
+        'Direct booking sync from stay-oceanus.com',
+        session.id ? `Stripe session: ${session.id}` : '',
+        session.payment_intent ? `PaymentIntent: ${session.payment_intent}` : '',
+        paymentStatus ? `Payment status: ${paymentStatus}` : '',
+        paymentMethod ? `Payment method: ${paymentMethod}` : '',
+        md.detail ? `Detail: ${md.detail}` : '',
+      ].filter(Boolean);
+
+    const payload = [
+    {
+      propertyId: Number(BEDS24_PROPERTY_ID),
+      roomId: Number(BEDS24_ROOM_ID),
+      status: 'new',
+      arrival: checkin,
+      departure: checkout,
+      numAdult,
+      numChild,
+      firstName,
+      lastName,
+      email,
+      phone,
+      referer: 'API',
+      comments: commentLines.join('\n'),
+      price: amountTotal ? Number(amountTotal) : 0,
+    },
+  ];
+
+  // 予約作成は冪等でないため、429 以外では再試行しない
+  const r = await beds24Request_('POST', '/bookings', {
+    label: 'booking create',
+    body: payload,
+  });
+
+  const text = r.text;
+  if (!r.ok) {
+    throw new Error(`Beds24 /bookings create failed: ${r.status} ${text}`);
+  }
+
+  invalidateAvailabilityCache_('booking created');
+  return safeJsonParse_(text);
+}
+
+function extractBeds24BookingIdFromCreateResult(result) {
+  if (!result) return '';
+
+  // トップレベルが配列のケース
+  if (Array.isArray(result) && result[0]) {
+    const first = result[0];
+
+    if (first.id) return String(first.id);
+    if (first.bookingId) return String(first.bookingId);
+
+    if (first.new?.id) return String(first.new.id);
+    if (first.new?.bookingId) return String(first.new.bookingId);
+
+    if (Array.isArray(first.data) && first.data[0]) {
+      if (first.data[0].id) return String(first.data[0].id);
+      if (first.data[0].bookingId) return String(first.data[0].bookingId);
+    }
+
+    if (Array.isArray(first.bookings) && first.bookings[0]) {
+      if (first.bookings[0].id) return String(first.bookings[0].id);
+      if (first.bookings[0].bookingId) return String(first.bookings[0].bookingId);
+    }
+  }
+
+  // トップレベルがオブジェクトのケース
+  if (result.id) return String(result.id);
+  if (result.bookingId) return String(result.bookingId);
+
+  if (result.new?.id) return String(result.new.id);
+  if (result.new?.bookingId) return String(result.new.bookingId);
+
+  if (Array.isArray(result.data) && result.data[0]) {
+    if (result.data[0].id) return String(result.data[0].id);
+    if (result.data[0].bookingId) return String(result.data[0].bookingId);
+  }
+
+  if (Array.isArray(result.bookings) && result.bookings[0]) {
+    if (result.bookings[0].id) return String(result.bookings[0].id);
+    if (result.bookings[0].bookingId) return String(result.bookings[0].bookingId);
+  }
+
+  return '';
+}
+
+// ===== Stripe session ↔ Beds24 予約ID の対応表 =====
+// 予約作成時の bookingId を保存し、以降のキャンセル・確定は ID で直接扱う
+// （コメント欄の "Stripe session: ..." 検索は対応表に無い場合のフォールバック）
+const bookingMapStore = createJsonFileStore_('booking-map', () => ({ sessions: {} }));
+
+function getBookingMapping_(sessionId) {
+  if (!sessionId) return null;
+  return bookingMapStore.get().sessions[sessionId] || null;
+}
+
+function saveBookingMapping_(sessionId, fields) {
+  const state = bookingMapStore.get();
+  const current = state.sessions[sessionId] || { createdAt: Date.now() };
+
+  state.sessions[sessionId] = { ...current, ...fields, updatedAt: Date.now() };
+  bookingMapStore.save();
+
+  return state.sessions[sessionId];
+}
+
+/**
+ * 作成した Beds24 予約IDを対応表と Stripe 側 metadata に記録する
+ * - Checkout Session の metadata はこの SDK では更新できないため PaymentIntent 側に書く
+ * - Stripe への書き戻し失敗はログのみ（対応表が正）
+ */
+async function recordBeds24BookingMapping_(session, beds24BookingId) {
+  if (!session?.id || !beds24BookingId) return null;
+
+  const md = session.metadata || {};
+  const paymentIntentId = typeof session.payment_intent === 'string'
+    ? session.payment_intent
+    : session.payment_intent?.id || '';
+
+  const mapping = saveBookingMapping_(session.id, {
+    beds24BookingId: String(beds24BookingId),
+    paymentIntentId,
+    checkin: md.checkin || '',
+    checkout: md.checkout || '',
+    status: 'active',
+  });
+
+  if (paymentIntentId) {
+    try {
+      await stripe.paymentIntents.update(paymentIntentId, {
+        metadata: {
+          beds24BookingId: String(beds24BookingId),
+          checkoutSessionId: session.id,
+        },
+      });
+    } catch (e) {
+      console.error(`⚠️ Failed to write beds24BookingId onto ${paymentIntentId}:`, e.message);
+    }
+  }
+
+  return mapping;
+}
+
+function lookupMappedBeds24BookingId_(sessionId) {
+  const mapped = getBookingMapping_(sessionId);
+  return mapped?.beds24BookingId ? String(mapped.beds24BookingId) : '';
+}
+
+// Beds24 API: 予約IDで1件取得
+async function beds24GetBookingById_(bookingId) {
+  if (!bookingId) return null;
+
+  const r = await beds24Request_('GET', '/bookings', {
+    label: 'lookup by id',
+    query: { id: bookingId },
+  });
+
+  const text = r.text;
+  if (!r.ok) {
+    throw new Error(`Beds24 /bookings lookup by id failed: ${r.status} ${text}`);
+  }
+
+  const json = safeJsonParse_(text);
+  const rows = Array.isArray(json.data) ? json.data : [];
+
+  return rows.find((row) => String(row.id || row.bookingId) === String(bookingId)) || null;
+}
+
+// Beds24 API: コメント欄の "Stripe session: <id>" で予約を探す（フォールバック）
+async function beds24FindBookingByCommentScan_(sessionId, from, to) {
+  const { rows, capped } = await beds24ListBookings_({
+    propertyId: BEDS24_PROPERTY_ID,
+    roomId: BEDS24_ROOM_ID,
+    from,
+    to,
+  }, 'comment-scan lookup');
+
+  if (capped) {
+    console.warn(`⚠️ Comment-scan lookup for ${sessionId} searched a capped booking list`);
+  }
+
+  const existing =
+    rows.find((row) => {
+      const comments = String(row.comments || '');
+      return comments.includes(`Stripe session: ${sessionId}`);
+    }) || null;
+
+  console.log(
+    '🛏️ Beds24 comment-scan lookup result:',
+    JSON.stringify(existing || null).slice(0, 1000)
+  );
+
+  return existing;
+}
+
+// Beds24 API: 既存予約チェック（対応表 → コメント検索の順）
+async function beds24FindExistingBookingBySessionId(sessionId, from, to) {
+  if (!sessionId) return null;
+
+  const mappedId = lookupMappedBeds24BookingId_(sessionId);
+  if (mappedId) {
+    const booking = await beds24GetBookingById_(mappedId);
+    if (booking) {
+      console.log(`🛏️ Beds24 booking found via mapping: session=${sessionId} bookingId=${mappedId}`);
+      return booking;
+    }
+    console.warn(`⚠️ Mapped Beds24 booking ${mappedId} not found, fallback to comment scan`);
+  }
+
+  const existing = await beds24FindBookingByCommentScan_(sessionId, from, to);
+
+  // コメント検索で見つかったものは対応表に取り込む
+  const existingId = existing ? String(existing.id || existing.bookingId || '') : '';
+  if (existingId && existingId !== mappedId) {
+    saveBookingMapping_(sessionId, { beds24BookingId: existingId, checkin: from || '', checkout: to || '' });
+  }
+
+  return existing;
+}
+
+// 予約IDだけ分かればよい処理（キャンセル・ステータス更新）は対応表を優先し Beds24 参照を省く
+async function beds24ResolveBookingIdForSession_(sessionId, from, to) {
+  const mappedId = lookupMappedBeds24BookingId_(sessionId);
+  if (mappedId) return Number(mappedId);
+
+  const existing = await beds24FindExistingBookingBySessionId(sessionId, from, to);
+  if (!existing) return 0;
+
+  const bookingId = Number(existing.id || existing.bookingId || 0);
+  if (!bookingId) {
+    throw new Error(`Beds24 booking id missing for session ${sessionId}`);
+  }
+  return bookingId;
+}
+
+// Beds24 API: Stripe session.id に対応する予約をキャンセル
+async function beds24CancelBookingBySessionId(sessionId, from, to) {
+  if (!sessionId) return null;
+
+  const bookingId = await beds24ResolveBookingIdForSession_(sessionId, from, to);
+  if (!bookingId) {
+    console.log(`ℹ️ No Beds24 booking found for session ${sessionId}, skip cancel`);
+    return null;
+  }
+
+  // Swaggerで成功した形に合わせる
+  const payload = [
+    {
+      id: bookingId,
+      status: 'cancelled',
+    },
+  ];
+
+  console.log(
     `🛏️ Beds24 cancel try: POST /bookings bookingId=${bookingId} body=${JSON.stringify(payload)}`
   );
 
-  const r = await fetch(`${BEDS24_BASE_URL}/bookings`, {
-    method: 'POST',
-    headers: {
-      accept: 'application/json',
-      'content-type': 'application/json',
-      token,
-    },
-    body: JSON.stringify(payload),
+  const r = await beds24Request_('POST', '/bookings', {
+    label: 'booking cancel',
+    body: payload,
+    idempotent: true,
+  });
+
+  const text = r.text;
+  console.log(`🛏️ Beds24 cancel response: status=${r.status} body=${text}`);
+
+  if (!r.ok) {
+    throw new Error(`Beds24 cancel failed for bookingId=${bookingId}: ${r.status} ${text}`);
+  }
+
+  const json = safeJsonParse_(text);
+  saveBookingMapping_(sessionId, { beds24BookingId: String(bookingId), status: 'cancelled' });
+  invalidateAvailabilityCache_('booking cancelled');
+
+  return {
+    canceledBookingId: bookingId,
+    response: json,
+  };
+}
+
+async function beds24UpdateBookingStatusBySessionId(sessionId, from, to, newStatus) {
+  if (!sessionId) return null;
+
+  const bookingId = await beds24ResolveBookingIdForSession_(sessionId, from, to);
+  if (!bookingId) {
+    console.log(`ℹ️ No Beds24 booking found for session ${sessionId}, skip status update`);
+    return null;
+  }
+
+  const payload = [
+    {
+      id: bookingId,
+      status: newStatus,
+    },
+  ];
+
+  const r = await beds24Request_('POST', '/bookings', {
+    label: 'booking status update',
+    body: payload,
+    idempotent: true,
+  });
+
+  const text = r.text;
+  if (!r.ok) {
+    throw new Error(`Beds24 /bookings status update failed: ${r.status} ${text}`);
+  }
+
+  const json = safeJsonParse_(text);
+  saveBookingMapping_(sessionId, { beds24BookingId: String(bookingId), status: newStatus });
+
+  return {
+    updatedBookingId: bookingId,
+    status: newStatus,
+    response: json,
+  };
+}
+
+// Beds24 API: 複数の期間にまとめて override を入れる（ranges: [{ from, to, override }]）
+async function beds24SetCalendarOverrides_(ranges) {
+  if (!ranges.length) return null;
+  if (!BEDS24_ROOM_ID) throw new Error('Missing BEDS24_ROOM_ID');
+
+  const payload = [
+    {
+      roomId: Number(BEDS24_ROOM_ID),
+      calendar: ranges.map((range) => ({
+        from: range.from,
+        to: range.to,
+        override: range.override,
+      })),
+    },
+  ];
+
+  console.log(
+    '🗓️ Beds24 set calendar override range payload:',
+    JSON.stringify(payload)
+  );
+
+  const r = await beds24Request_('POST', '/inventory/rooms/calendar', {
+    label: 'calendar override',
+    body: payload,
+    idempotent: true,
+  });
+
+  const text = r.text;
+  console.log(`🗓️ Beds24 set calendar override range response: status=${r.status} body=${text}`);
+
+  if (!r.ok) {
+    throw new Error(`Beds24 /inventory/rooms/calendar failed: ${r.status} ${text}`);
+  }
+
+  invalidateAvailabilityCache_('calendar override');
+  return safeJsonParse_(text);
+}
+
+// Beds24 API: 期間指定で override を入れる
+async function beds24SetCalendarOverrideRange_(fromYmd, toYmd, overrideValue) {
+  if (!fromYmd || !toYmd) throw new Error('fromYmd and toYmd are required');
+  return beds24SetCalendarOverrides_([{ from: fromYmd, to: toYmd, override: overrideValue }]);
+}
+
+// ===== 滞在ルールエンジン =====
+// 監視期間の全予約から「あるべき override」を日別に再計算し、現在のカレンダーとの差分だけ Beds24 に送る
+// （1予約ずつ付け外しすると、隣接予約の OUT日/IN日 の保護まで消してしまうため）
+//
+// - IN日/OUT日: STAY_RULE_BOUNDARY_OVERRIDE（既定 noCheckInOrCheckOut）
+//   STAY_RULE_ALLOW_SAME_DAY_TURNOVER=true なら IN日=noCheckIn / OUT日=noCheckOut（同日入替を許可）
+// - 中日: blackout
+// - 予約間の空きが STAY_RULE_MIN_GAP_NIGHTS 泊未満 → blackout
+// - STAY_RULE_BLOCK_ORPHAN_NIGHTS=true: 空きがその日の minStay 未満（売れない孤立日）→ blackout
+// - STAY_RULE_CHANGEOVER_WEEKDAYS（例 "6" = 土曜のみ）: それ以外の曜日は IN/OUT 不可
+const STAY_RULE_BOUNDARY_OVERRIDE = process.env.STAY_RULE_BOUNDARY_OVERRIDE || 'noCheckInOrCheckOut';
+const STAY_RULE_ALLOW_SAME_DAY_TURNOVER = process.env.STAY_RULE_ALLOW_SAME_DAY_TURNOVER === 'true';
+const STAY_RULE_MIN_GAP_NIGHTS = Number(process.env.STAY_RULE_MIN_GAP_NIGHTS || 0);
+const STAY_RULE_BLOCK_ORPHAN_NIGHTS = process.env.STAY_RULE_BLOCK_ORPHAN_NIGHTS === 'true';
+const STAY_RULE_CHANGEOVER_WEEKDAYS = String(process.env.STAY_RULE_CHANGEOVER_WEEKDAYS || '')
+  .split(',')
+  .map((v) => v.trim())
+  .filter(Boolean)
+  .map(Number);
+
+// 初回同期時、既存の override をエンジン管理下として取り込むか（旧方式で入れた分を整理したい場合）
+const STAY_RULE_ADOPT_EXISTING = process.env.STAY_RULE_ADOPT_EXISTING === 'true';
+
+// エンジンが最後に書いた override（スタッフが手動で入れた override は消さないため）
+const stayRuleStore = createJsonFileStore_('stay-rules', () => ({ managed: {}, initializedAt: 0 }));
+
+const OVERRIDE_STRENGTH = {
+  none: 0,
+  nocheckin: 1,
+  nocheckout: 1,
+  nocheckinorcheckout: 2,
+  blackout: 3,
+};
+
+function overrideStrength_(value) {
+  return OVERRIDE_STRENGTH[String(value || 'none').toLowerCase()] ?? 0;
+}
+
+function mergeOverride_(current, next) {
+  const a = String(current || 'none');
+  const b = String(next || 'none');
+
+  // noCheckIn + noCheckOut は両方不可
+  const pair = [a.toLowerCase(), b.toLowerCase()].sort().join('+');
+  if (pair === 'nocheckin+nocheckout') return 'noCheckInOrCheckOut';
+
+  return overrideStrength_(b) > overrideStrength_(a) ? b : a;
+}
+
+/**
+ * 予約一覧から日別の「あるべき override」を計算する（純粋関数）
+ * - 返り値: Map<ymd, override>（'none' 以外のみ）
+ */
+function computeDesiredStayOverrides_(bookingRows, calendarNights, from, to) {
+  const desired = new Map();
+  const put = (ymd, value) => {
+    if (ymd < from || ymd > to) return;
+    desired.set(ymd, mergeOverride_(desired.get(ymd), value));
+  };
+
+  const bookings = bookingRows
+    .filter(isActiveBeds24Booking_)
+    .map((row) => ({
+      arrival: String(row.arrival || '').slice(0, 10),
+      departure: String(row.departure || '').slice(0, 10),
+    }))
+    .filter((b) => b.arrival && b.departure && b.arrival < b.departure)
+    .sort((a, b) => (a.arrival < b.arrival ? -1 : a.arrival > b.arrival ? 1 : 0));
+
+  bookings.forEach((b) => {
+    put(b.arrival, STAY_RULE_ALLOW_SAME_DAY_TURNOVER ? 'noCheckIn' : STAY_RULE_BOUNDARY_OVERRIDE);
+    put(b.departure, STAY_RULE_ALLOW_SAME_DAY_TURNOVER ? 'noCheckOut' : STAY_RULE_BOUNDARY_OVERRIDE);
+
+    for (let d = addDaysYmd_(b.arrival, 1); d < b.departure; d = addDaysYmd_(d, 1)) {
+      put(d, 'blackout');
+    }
+  });
+
+  // 予約と予約の間の空き
+  for (let i = 1; i < bookings.length; i += 1) {
+    const gapStart = bookings
+      .slice(0, i)
+      .reduce((latest, b) => (b.departure > latest ? b.departure : latest), '');
+    const gapEnd = bookings[i].arrival;
+    if (gapStart >= gapEnd) continue;
+
+    const gapNights = countNights_(gapStart, gapEnd);
+    const minStay = Number(calendarNights.get(gapStart)?.minStay || 1);
+
+    const tooShort = gapNights < STAY_RULE_MIN_GAP_NIGHTS;
+    const orphan = STAY_RULE_BLOCK_ORPHAN_NIGHTS && gapNights < minStay;
+
+    if (tooShort || orphan) {
+      for (let d = gapStart; d < gapEnd; d = addDaysYmd_(d, 1)) put(d, 'blackout');
+    }
+  }
+
+  // 入替曜日の制限
+  if (STAY_RULE_CHANGEOVER_WEEKDAYS.length) {
+    for (let d = from; d <= to; d = addDaysYmd_(d, 1)) {
+      if (!STAY_RULE_CHANGEOVER_WEEKDAYS.includes(parseYmdToLocalDate_(d).getDay())) {
+        put(d, 'noCheckInOrCheckOut');
+      }
+    }
+  }
+
+  return desired;
+}
+
+// 連続する同じ値の日をまとめて ranges にする
+function groupOverrideChanges_(changes) {
+  const ranges = [];
+
+  changes
+    .sort((a, b) => (a.date < b.date ? -1 : 1))
+    .forEach(({ date, override }) => {
+      const last = ranges[ranges.length - 1];
+      if (last && last.override === override && addDaysYmd_(last.to, 1) === date) {
+        last.to = date;
+      } else {
+        ranges.push({ from: date, to: date, override });
+      }
+    });
+
+  return ranges;
+}
+
+/**
+ * 監視期間の滞在ルールを再計算して Beds24 に反映する
+ * - 差分のみ送信。エンジン管理外の override は、より強い値で上書きする場合を除き触らない
+ * - 同時実行は直列化
+ * - 取得済みの予約スナップショット（同じ監視期間）があれば渡して Beds24 呼び出しを省ける
+ */
+async function beds24SyncStayRules_(source, knownSnapshot = null) {
+  return withKeyedLock_('stay-rules', async () => {
+    const window = buildBeds24SyncWindow_();
+    const [snapshot, calendar] = await Promise.all([
+      knownSnapshot || beds24ListBookingsInWindow_(window.from, window.to),
+      beds24GetCalendar_(window.from, window.to),
+    ]);
+
+    // 打ち切られた一覧だと、漏れた予約の保護を外してしまう
+    if (snapshot.capped) {
+      throw new Error(`Beds24 booking list capped at ${snapshot.pages} pages; stay rules left unchanged`);
+    }
+
+    const calendarNights = expandBeds24CalendarNights_(calendar.rows);
+    const desired = computeDesiredStayOverrides_(snapshot.rows, calendarNights, window.from, window.to);
+
+    const state = stayRuleStore.get();
+    if (!state.initializedAt && STAY_RULE_ADOPT_EXISTING) {
+      calendarNights.forEach((row, ymd) => {
+        if (overrideStrength_(row.override) > 0) state.managed[ymd] = row.override;
+      });
+    }
+
+    const changes = [];
+    const managed = {};
+
+    for (let d = window.from; d <= window.to; d = addDaysYmd_(d, 1)) {
+      const want = desired.get(d) || 'none';
+      const current = String(calendarNights.get(d)?.override || 'none');
+      const owned = state.managed[d];
+      const same = current.toLowerCase() === want.toLowerCase();
+
+      if (want !== 'none') {
+        const staffOverride = !owned && overrideStrength_(current) >= overrideStrength_(want);
+        if (!same && !staffOverride) changes.push({ date: d, override: want });
+        if (!staffOverride) managed[d] = want;
+        continue;
+      }
+
+      // エンジンが入れた値がそのまま残っている場合のみ解除する
+      if (owned && current.toLowerCase() === String(owned).toLowerCase() && !same) {
+        changes.push({ date: d, override: 'none' });
+      }
+    }
+
+    const ranges = groupOverrideChanges_(changes);
+    if (ranges.length) await beds24SetCalendarOverrides_(ranges);
+
+    // 監視期間外の管理記録は保持しない
+    state.managed = managed;
+    state.initializedAt = state.initializedAt || Date.now();
+    state.lastSyncAt = Date.now();
+    stayRuleStore.save();
+
+    const summary = {
+      source,
+      window,
+      bookings: snapshot.rows.length,
+      changedDays: changes.length,
+      ranges,
+    };
+
+    console.log('🗓️ Stay rules synced:', JSON.stringify(summary).slice(0, 1000));
+    return summary;
+  });
+}
+
+/**
+ * Stripe session に紐づく Beds24 予約をキャンセルし、滞在ルールを再計算する
+ * - キャンセル失敗は呼び出し元へ throw（Stripe 側の再送に任せる）
+ * - 滞在ルール再計算の失敗はログのみ
+ * - 予約が無かった場合（未完了のまま期限切れ等）は再計算しない
+ */
+async function beds24ReleaseBookingForSession_(session, source) {
+  const md = session?.metadata || {};
+
+  const canceled = await beds24CancelBookingBySessionId(
+    session?.id,
+    md.checkin || undefined,
+    md.checkout || undefined
+  );
+  console.log(
+    `🗑️ Beds24 booking canceled from ${source}:`,
+    JSON.stringify(canceled).slice(0, 1000)
+  );
+
+  let stayRules = null;
+  if (!canceled) return { canceled, stayRules };
+
+  try {
+    stayRules = await beds24SyncStayRules_(source);
+  } catch (clearErr) {
+    console.error(
+      `⚠️ Failed to clear stay rules after ${source}:`,
+      clearErr.message
+    );
+  }
+
+  return { canceled, stayRules };
+}
+
+function sessionPaymentMethod_(session) {
+  const pmTypes = session?.payment_method_types || [];
+  return pmTypes.includes('konbini') ? 'konbini' : 'card';
+}
+
+app.post('/beds24/webhook/booking', guardBeds24WebhookSource_, async (req, res) => {
+  try {
+    // 1) 認証（未設定なら全拒否）
+    const auth = authenticateBeds24Webhook_(req);
+    if (!auth.ok) {
+      console.warn(`⛔ Beds24 webhook rejected from ${clientIp_(req)}: ${auth.reason}`);
+      return res.status(auth.status).json({ ok: false, error: auth.reason });
+    }
+
+    // 2) 受信ボディ
+    const body = req.body || {};
+    console.log('📩 Beds24 webhook received:', JSON.stringify(body).slice(0, 2000));
+
+    invalidateAvailabilityCache_('beds24 webhook');
+
+    const action = String(body.action || '').toUpperCase();
+    console.log('🧪 Beds24 webhook action =', action);
+
+    // 3) webhookは dirty signal として扱う
+    //    bookingId は追わず、連続した webhook をまとめて1回の差分同期にする
+    scheduleBeds24Sync_({ action, bookingId: body.id || body.bookingId || body.booking?.id || '' });
+
+    return res.json({ ok: true, mode: 'delta_sync_scheduled' });
+  } catch (e) {
+    console.error('❌ Beds24 webhook error:', e);
+    return res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// ===== Beds24 差分同期（webhook のデバウンス＋定期フルスナップショット） =====
+// 前回のスナップショットを保存し、作成・変更・キャンセルの差分だけを GAS に送る
+const BEDS24_SYNC_DEBOUNCE_MS = Number(process.env.BEDS24_SYNC_DEBOUNCE_MS || 5000);
+const BEDS24_SYNC_MAX_WAIT_MS = Number(process.env.BEDS24_SYNC_MAX_WAIT_MS || 30 * 1000);
+const BEDS24_SYNC_RETRY_MS = Number(process.env.BEDS24_SYNC_RETRY_MS || 60 * 1000);
+const BEDS24_FULL_SNAPSHOT_INTERVAL_MINUTES = Number(process.env.BEDS24_FULL_SNAPSHOT_INTERVAL_MINUTES || 360);
+
+// 差分判定に使う項目（更新日時など毎回変わる項目は含めない）
+const BEDS24_DELTA_FIELDS = [
+  'status', 'arrival', 'departure', 'roomId', 'numAdult', 'numChild',
+  'firstName', 'lastName', 'email', 'phone', 'price', 'channel', 'referer', 'comments',
+];
+
+const beds24SnapshotStore = createJsonFileStore_('beds24-snapshot', () => ({ bookings: null, syncedAt: 0 }));
+
+const beds24SyncState = {
+  timer: null,
+  firstTriggerAt: 0,
+  triggers: [],
+  failingSince: 0, // 連続失敗の開始時刻（beds24_sync_failed は連続失敗につき1回だけ通知）
+};
+
+function reportBeds24SyncFailure_(error, full) {
+  if (beds24SyncState.failingSince) return;
+  beds24SyncState.failingSince = Date.now();
+
+  notifyEvent_({
+    type: 'beds24_sync_failed',
+    sync_mode: full ? 'full' : 'delta',
+    error: String(error?.message || error),
+    retry_in_ms: full ? BEDS24_FULL_SNAPSHOT_INTERVAL_MINUTES * 60 * 1000 : BEDS24_SYNC_RETRY_MS,
+  }).catch((e) => console.error('⚠️ Notification failed after Beds24 sync failure:', e.message));
+}
+
+function beds24BookingKey_(row) {
+  return String(row?.id || row?.bookingId || '');
+}
+
+function diffBeds24Booking_(before, after) {
+  const changes = {};
+  BEDS24_DELTA_FIELDS.forEach((field) => {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  });
+  return changes;
+}
+
+/**
+ * 前回と今回のスナップショットの差分
+ * - 窓から消えた予約は、過去に流れたもの（departure < from）以外を削除＝キャンセル扱い
+ *   （一覧が打ち切られている capped のときは判定できないので扱わない）
+ * - 返り値: { created: [row], modified: [{ id, changes, booking }], cancelled: [{ id, booking, reason }] }
+ */
+function computeBeds24Delta_(previous, rows, window, capped = false) {
+  const created = [];
+  const modified = [];
+  const cancelled = [];
+  const seen = new Set();
+
+  rows.forEach((row) => {
+    const id = beds24BookingKey_(row);
+    if (!id) return;
+    seen.add(id);
+
+    const before = previous[id];
+    if (!before) {
+      if (isActiveBeds24Booking_(row)) created.push(row);
+      return;
+    }
+
+    const changes = diffBeds24Booking_(before, row);
+    if (!Object.keys(changes).length) return;
+
+    if (isActiveBeds24Booking_(before) && !isActiveBeds24Booking_(row)) {
+      cancelled.push({ id, booking: row, reason: 'status', changes });
+    } else {
+      modified.push({ id, changes, booking: row });
+    }
+  });
+
+  Object.keys(previous).forEach((id) => {
+    if (capped || seen.has(id)) return;
+
+    const before = previous[id];
+    const departure = String(before.departure || '').slice(0, 10);
+    if (!isActiveBeds24Booking_(before) || departure < window.from) return;
+
+    cancelled.push({ id, booking: before, reason: 'removed' });
+  });
+
+  return { created, modified, cancelled };
+}
+
+/**
+ * スナップショットを取り直して差分を GAS に送り、滞在ルール・決済中セッションを追従させる
+ * - full=true（定期実行）や初回は全件の beds24_snapshot_sync も送る
+ */
+async function runBeds24Sync_({ full = false, triggers = [] } = {}) {
+  return withKeyedLock_('beds24-sync', async () => {
+    const syncWindow = buildBeds24SyncWindow_();
+    const snapshot = await beds24ListBookingsInWindow_(syncWindow.from, syncWindow.to);
+
+    const state = beds24SnapshotStore.get();
+    const previous = state.bookings;
+    const delta = previous ? computeBeds24Delta_(previous, snapshot.rows, syncWindow, snapshot.capped) : null;
+
+    if (delta && (delta.created.length || delta.modified.length || delta.cancelled.length)) {
+      await notifyEvent_({
+        type: 'beds24_booking_delta',
+        beds24: {
+          syncWindow,
+          triggers,
+          created: delta.created,
+          modified: delta.modified,
+          cancelled: delta.cancelled,
+        },
+      });
+    }
+
+    if (full || !previous) {
+      await notifyEvent_({
+        type: 'beds24_snapshot_sync',
+        beds24: {
+          action: full ? 'SCHEDULED' : 'BASELINE',
+          syncWindow,
+          snapshotCount: snapshot.rows.length,
+          capped: snapshot.capped,
+          snapshot: snapshot.rows,
+        },
+      });
+    }
+
+    // capped のときは取れなかった分を前回の内容で残す
+    state.bookings = snapshot.capped ? { ...(previous || {}) } : {};
+    snapshot.rows.forEach((row) => {
+      const id = beds24BookingKey_(row);
+      if (id) state.bookings[id] = row;
+    });
+    state.syncedAt = Date.now();
+    beds24SnapshotStore.save();
+
+    const summary = delta
+      ? { created: delta.created.length, modified: delta.modified.length, cancelled: delta.cancelled.length }
+      : null;
+
+    console.log(
+      `✅ Beds24 sync done (full=${full}, triggers=${triggers.length}, rows=${snapshot.rows.length}, capped=${snapshot.capped}) delta=${JSON.stringify(summary)}`
+    );
+
+    // OTA予約も含めて滞在ルールを再計算（失敗しても同期は成功扱い）
+    try {
+      await beds24SyncStayRules_(full ? 'scheduled snapshot' : 'beds24 webhook', snapshot);
+    } catch (stayRuleErr) {
+      console.error('⚠️ Stay rules sync after Beds24 sync failed:', stayRuleErr.message);
+    }
+
+    // 同じ日程で決済中のお客様がいれば、支払い前にセッションを失効させる
+    try {
+      await expireCheckoutSessionsConflictingWith_(snapshot.rows, full ? 'scheduled snapshot' : 'beds24 webhook');
+    } catch (expireErr) {
+      console.error('⚠️ Conflicting checkout session check failed:', expireErr.message);
+    }
+
+    if (beds24SyncState.failingSince) {
+      console.log(`✅ Beds24 sync recovered (failing since ${new Date(beds24SyncState.failingSince).toISOString()})`);
+      beds24SyncState.failingSince = 0;
+    }
+
+    return {
+      syncWindow,
+      rows: snapshot.rows.length,
+      pages: snapshot.pages,
+      capped: snapshot.capped,
+      delta: summary,
+    };
+  });
+}
+
+// webhook の連打を1回にまとめる（最後の受信から DEBOUNCE、最初の受信から最大 MAX_WAIT）
+function scheduleBeds24Sync_(trigger, delayMs = BEDS24_SYNC_DEBOUNCE_MS) {
+  const now = Date.now();
+  if (!beds24SyncState.firstTriggerAt) beds24SyncState.firstTriggerAt = now;
+  if (trigger) beds24SyncState.triggers.push({ ...trigger, receivedAt: now });
+  beds24SyncState.triggers = beds24SyncState.triggers.slice(-100);
+
+  const deadline = beds24SyncState.firstTriggerAt + Math.max(BEDS24_SYNC_MAX_WAIT_MS, delayMs);
+  const waitMs = Math.max(0, Math.min(delayMs, deadline - now));
+
+  if (beds24SyncState.timer) clearTimeout(beds24SyncState.timer);
+  beds24SyncState.timer = setTimeout(() => {
+    const triggers = beds24SyncState.triggers;
+    beds24SyncState.timer = null;
+    beds24SyncState.firstTriggerAt = 0;
+    beds24SyncState.triggers = [];
+
+    runBeds24Sync_({ triggers }).catch((e) => {
+      console.error('❌ Beds24 delta sync failed, will retry:', e.message);
+      reportBeds24SyncFailure_(e, false);
+      beds24SyncState.triggers.unshift(...triggers);
+      scheduleBeds24Sync_(null, BEDS24_SYNC_RETRY_MS);
+    });
+  }, waitMs);
+}
+
+function startBeds24SnapshotScheduler_() {
+  if (!BEDS24_FULL_SNAPSHOT_INTERVAL_MINUTES) {
+    console.log('⏸️ Beds24 full snapshot scheduler disabled');
+    return;
+  }
+
+  setInterval(() => {
+    runBeds24Sync_({ full: true }).catch((e) => {
+      console.error('❌ Beds24 full snapshot sync error:', e.message);
+      reportBeds24SyncFailure_(e, true);
+    });
+  }, BEDS24_FULL_SNAPSHOT_INTERVAL_MINUTES * 60 * 1000).unref();
+
+  console.log(`⏱️ Beds24 full snapshot scheduler started (every ${BEDS24_FULL_SNAPSHOT_INTERVAL_MINUTES} min)`);
+}
+
+// ===== 通知チャネル（GAS・メール・チャット・署名付き HTTP） =====
+// イベント種別ごとに送り先チャネルを決め、チャネルごとにアウトボックスへ積む（配送・再試行もチャネル単位）。
+// GAS（GAS_WEBHOOK_URL_*）は "gas" という名前で常に登録される。その他は NOTIFY_CHANNELS_JSON で追加:
+// [
+//   { "name": "staff-slack", "type": "slack", "url": "https://hooks.slack.com/services/..." },
+//   { "name": "staff-line", "type": "line", "token": "<channel access token>", "to": "<userId / groupId>" },
+//   { "name": "staff-mail", "type": "smtp", "host": "localhost", "port": 1025, "from": "bot@example.com", "to": ["staff@example.com"] },
+//   { "name": "audit", "type": "http", "url": "https://example.com/hooks/seragaki", "secret": "..." }
+// ]
+// 振り分けは NOTIFY_ROUTES_JSON（既定: 全イベント → gas）:
+// { "overbooking_detected": ["gas", "staff-slack"], "beds24_sync_failed": ["staff-slack"],
+//   "manual_capture_canceled": ["gas", "staff-slack"], "*": ["gas"] }
+// - キーは 完全一致 → 末尾 * の前方一致（長いもの優先）→ "*" の順に探す
+const NOTIFY_TIMEOUT_MS = Number(process.env.NOTIFY_TIMEOUT_MS || process.env.GAS_TIMEOUT_MS || 15000);
+const LINE_PUSH_URL = 'https://api.line.me/v2/bot/message/push';
+
+const NOTIFY_CHANNEL_REQUIRED_FIELDS = {
+  gas: ['url'],
+  slack: ['url'],
+  line: ['token', 'to'],
+  smtp: ['host', 'from', 'to'],
+  http: ['url', 'secret'],
+};
+
+function parseNotifyChannels_(text) {
+  const defs = text ? JSON.parse(text) : [];
+  if (!Array.isArray(defs)) throw new Error('NOTIFY_CHANNELS_JSON must be an array');
+
+  const channels = {};
+  if (gasWebhookUrl) channels.gas = { name: 'gas', type: 'gas', url: gasWebhookUrl };
+
+  defs.forEach((def) => {
+    const required = NOTIFY_CHANNEL_REQUIRED_FIELDS[def?.type];
+    if (!def?.name || !required) {
+      throw new Error(`Invalid notify channel (name/type): ${JSON.stringify(def)}`);
+    }
+
+    const missing = required.filter((field) => !def[field]);
+    if (missing.length) {
+      throw new Error(`Notify channel "${def.name}" is missing: ${missing.join(', ')}`);
+    }
+
+    channels[def.name] = { ...def };
+  });
+
+  return channels;
+}
+
+const NOTIFY_CHANNELS = parseNotifyChannels_(process.env.NOTIFY_CHANNELS_JSON);
+
+function parseNotifyRoutes_(text) {
+  const routes = text ? JSON.parse(text) : { '*': ['gas'] };
+
+  Object.entries(routes).forEach(([pattern, names]) => {
+    if (!Array.isArray(names)) throw new Error(`NOTIFY_ROUTES_JSON["${pattern}"] must be an array`);
+
+    names
+      .filter((name) => !NOTIFY_CHANNELS[name])
+      .forEach((name) => console.warn(`⚠️ Notify route "${pattern}" refers to unconfigured channel: ${name}`));
+  });
+
+  return routes;
+}
+
+const NOTIFY_ROUTES = parseNotifyRoutes_(process.env.NOTIFY_ROUTES_JSON);
+
+// イベント種別 → 送り先チャネル名（未設定のチャネルは除く）
+function resolveNotifyChannels_(type) {
+  let names = NOTIFY_ROUTES[type];
+
+  if (!names) {
+    const prefix = Object.keys(NOTIFY_ROUTES)
+      .filter((key) => key.length > 1 && key.endsWith('*') && type.startsWith(key.slice(0, -1)))
+      .sort((a, b) => b.length - a.length)[0];
+    names = prefix ? NOTIFY_ROUTES[prefix] : NOTIFY_ROUTES['*'] || [];
+  }
+
+  return [...new Set(names)].filter((name) => NOTIFY_CHANNELS[name]);
+}
+
+// チャット・メール用の本文（スタッフ向け。予約の要点＋ペイロードの主な項目）
+function formatNotificationText_(payload) {
+  const session = payload?.data?.object || null;
+  const md = session?.metadata || {};
+  const guestName = [md.lastName, md.firstName].filter(Boolean).join(' ');
+
+  const lines = [`[${mode}] ${payload?.type || '(no type)'}`];
+  if (md.checkin) lines.push(`宿泊: ${md.checkin} 〜 ${md.checkout || '?'}`);
+  if (guestName || md.email) lines.push(`予約者: ${[guestName, md.email].filter(Boolean).join(' / ')}`);
+  if (session?.amount_total !== undefined && session?.amount_total !== null) lines.push(`金額: ${formatYen_(session.amount_total)}`);
+  if (session?.id) lines.push(`Checkout Session: ${session.id}`);
+
+  Object.entries(payload || {})
+    .filter(([key, value]) => !['type', 'data', 'lang'].includes(key) && value !== '' && value !== null && value !== undefined)
+    .forEach(([key, value]) => {
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      lines.push(`${key}: ${text.length > 300 ? `${text.slice(0, 300)}…` : text}`);
+    });
+
+  return lines.join('\n').slice(0, 4000);
+}
+
+async function postNotification_(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`responded with error: ${response.status} ${text.slice(0, 500)}`);
+  }
+}
+
+// SMTP は接続設定ごとに transport を使い回す
+const smtpTransports = new Map();
+
+function smtpTransportFor_(channel) {
+  if (!smtpTransports.has(channel.name)) {
+    smtpTransports.set(channel.name, nodemailer.createTransport({
+      host: channel.host,
+      port: Number(channel.port || 587),
+      secure: Boolean(channel.secure),
+      auth: channel.user ? { user: channel.user, pass: channel.pass || '' } : undefined,
+      connectionTimeout: NOTIFY_TIMEOUT_MS,
+      socketTimeout: NOTIFY_TIMEOUT_MS,
+    }));
+  }
+  return smtpTransports.get(channel.name);
+}
+
+// --- イベント封筒（v1）と署名 ---
+// GAS・署名付き HTTP へはこの形で送る（GAS は GAS_PAYLOAD_FORMAT で従来形式と併用できる）:
+// {
+//   "version": 1,
+//   "id": "<イベントID（再送でも同じ）>",
+//   "type": "checkout.session.completed",
+//   "occurred_at": "2026-10-18T03:00:00.000Z",
+//   "mode": "test" | "live",
+//   "lang": "ja" | "en",
+//   "booking": { session_id, payment_intent, beds24_booking_id, checkin, checkout, nights, guests, amount,
+//                currency, payment_method, capture_method, guest: { name, email, phone }, source } | null,
+//   "data": { 種別ごとの項目（payment_status, refund_amount, beds24 など） }
+// }
+// 署名: hex(HMAC-SHA256(secret, `${timestamp}.${body}`))
+// - ヘッダ X-Notify-Id / X-Notify-Timestamp / X-Notify-Signature: v1=<hex>
+// - GAS の doPost(e) はヘッダを読めないので、URL に event_id / ts / sig も付ける
+//   （e.postData.contents を本文として検証し、ts が古すぎるものと既に処理した event_id は捨てる）
+const EVENT_ENVELOPE_VERSION = 1;
+
+const GAS_SIGNING_SECRET =
+  (mode === 'live' ? process.env.GAS_SIGNING_SECRET_LIVE : process.env.GAS_SIGNING_SECRET_TEST) ||
+  process.env.GAS_SIGNING_SECRET ||
+  '';
+
+// legacy: 従来形式のみ / both: 従来形式＋ envelope キーに v1（既定） / v1: v1 のみ
+// 封筒（v1）は署名が無いと GAS 側で本物と区別できないので、secret 未設定なら legacy に落として送る
+function resolveGasPayloadFormat_() {
+  const format = ['legacy', 'both', 'v1'].includes(process.env.GAS_PAYLOAD_FORMAT)
+    ? process.env.GAS_PAYLOAD_FORMAT
+    : 'both';
+
+  if (!gasWebhookUrl || GAS_SIGNING_SECRET) return format;
+
+  if (format !== 'legacy') {
+    console.warn(`⚠️ GAS_SIGNING_SECRET is not set: GAS_PAYLOAD_FORMAT=${format} falls back to legacy (unsigned).`);
+  } else {
+    console.warn('⚠️ GAS_SIGNING_SECRET is not set: legacy payloads to GAS are sent unsigned.');
+  }
+  return 'legacy';
+}
+
+const GAS_PAYLOAD_FORMAT = resolveGasPayloadFormat_();
+
+// 予約の要点（セッションを含むイベントのみ）。日程変更後は変更後の日程・料金
+function summarizeBookingForEvent_(payload) {
+  const session = payload?.data?.object;
+  if (!session?.id) return null;
+
+  const md = session.metadata || {};
+  const stay = currentStayForSession_(session);
+  const sessionPi = typeof session.payment_intent === 'string' ? session.payment_intent : session.payment_intent?.id;
+
+  return {
+    session_id: session.id,
+    payment_intent: payload.payment_intent || sessionPi || '',
+    beds24_booking_id: String(payload.beds24_booking_id || lookupMappedBeds24BookingId_(session.id) || ''),
+    checkin: stay.checkin,
+    checkout: stay.checkout,
+    nights: isValidYmd_(stay.checkin) && isValidYmd_(stay.checkout) ? countNights_(stay.checkin, stay.checkout) : 0,
+    guests: {
+      adults: Number(md.adults || 0),
+      child11: Number(md.child11 || 0),
+      child6: Number(md.child6 || 0),
+      child3: Number(md.child3 || 0),
+    },
+    amount: stay.amount,
+    currency: session.currency || 'jpy',
+    payment_method: sessionPaymentMethod_(session),
+    capture_method: md.captureMethod || '',
+    guest: {
+      name: [md.lastName, md.firstName].filter(Boolean).join(' '),
+      email: md.email || session.customer_details?.email || session.customer_email || '',
+      phone: md.phone || '',
+    },
+    source: md.createdBy === 'custom' ? 'custom_link' : 'web',
+  };
+}
+
+// 封筒の固定部分（キュー投入時に確定させ、チャネル・再送をまたいで同じ値にする）
+function buildEventHeader_(payload, id = crypto.randomUUID(), occurredAt = Date.now()) {
+  return {
+    id,
+    occurred_at: new Date(occurredAt).toISOString(),
+    booking: summarizeBookingForEvent_(payload),
+  };
+}
+
+function buildEventEnvelope_(message) {
+  // チャネル導入前に積まれた分は配送時に組み立てる
+  const header = message.event || buildEventHeader_(message.payload, message.id, message.createdAt);
+  const { type, data, lang, ...fields } = message.payload || {};
+
+  return {
+    version: EVENT_ENVELOPE_VERSION,
+    id: header.id,
+    type: String(type || message.type || ''),
+    occurred_at: header.occurred_at,
+    mode,
+    lang: lang || DEFAULT_LANG,
+    booking: header.booking,
+    data: fields,
+  };
+}
+
+// 従来形式（GAS 側の移行が済んだら GAS_PAYLOAD_FORMAT=v1 にしてこの変換ごと消す）
+function toLegacyGasPayload_(payload) {
+  if (payload?.type === 'provisional_reservation' && payload.reservation) {
+    const { data, reservation, ...rest } = payload;
+    return { ...rest, sessionId: data?.object?.id || '', reservation_json: JSON.stringify(reservation) };
+  }
+  return payload;
+}
+
+function buildGasBody_(message) {
+  if (GAS_PAYLOAD_FORMAT === 'legacy') return toLegacyGasPayload_(message.payload);
+  if (GAS_PAYLOAD_FORMAT === 'v1') return buildEventEnvelope_(message);
+  return { ...toLegacyGasPayload_(message.payload), envelope: buildEventEnvelope_(message) };
+}
+
+// 署名ヘッダ（secret が無ければ署名しない）
+function signNotification_(secret, eventId, body) {
+  if (!secret) return { headers: { 'X-Notify-Id': eventId }, query: { event_id: eventId } };
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = `v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+  return {
+    headers: { 'X-Notify-Id': eventId, 'X-Notify-Timestamp': timestamp, 'X-Notify-Signature': signature },
+    query: { event_id: eventId, ts: timestamp, sig: signature },
+  };
+}
+
+function appendQuery_(url, params) {
+  const u = new URL(url);
+  Object.entries(params).forEach(([key, value]) => u.searchParams.set(key, value));
+  return u.toString();
+}
+
+/**
+ * 1件をチャネルへ送る（失敗時は throw）
+ * - gas / http は封筒（v1）に署名を付けて送る。署名の secret は gas が GAS_SIGNING_SECRET、http がチャネルの secret
+ */
+async function deliverNotification_(message) {
+  const channel = NOTIFY_CHANNELS[message.channel];
+  if (!channel) throw new Error(`Notify channel not configured: ${message.channel}`);
+
+  const { payload } = message;
+
+  switch (channel.type) {
+    case 'gas': {
+      const body = JSON.stringify(buildGasBody_(message));
+      const signed = signNotification_(channel.secret || GAS_SIGNING_SECRET, buildEventEnvelope_(message).id, body);
+      return postNotification_(appendQuery_(channel.url, signed.query), body, signed.headers);
+    }
+
+    case 'slack':
+      return postNotification_(channel.url, JSON.stringify({ text: formatNotificationText_(payload) }));
+
+    case 'line':
+      return postNotification_(
+        LINE_PUSH_URL,
+        JSON.stringify({ to: channel.to, messages: [{ type: 'text', text: formatNotificationText_(payload) }] }),
+        { Authorization: `Bearer ${channel.token}` }
+      );
+
+    case 'smtp': {
+      const md = payload?.data?.object?.metadata || {};
+      await smtpTransportFor_(channel).sendMail({
+        from: channel.from,
+        to: channel.to,
+        subject: `[${mode}] ${payload?.type || 'notification'}${md.checkin ? ` ${md.checkin}` : ''}`,
+        text: formatNotificationText_(payload),
+      });
+      return undefined;
+    }
+
+    case 'http': {
+      const envelope = buildEventEnvelope_(message);
+      const body = JSON.stringify(envelope);
+      return postNotification_(channel.url, body, signNotification_(channel.secret, envelope.id, body).headers);
+    }
+
+    default:
+      throw new Error(`Unsupported notify channel type: ${channel.type}`);
+  }
+}
+
+// ===== 通知アウトボックス =====
+// 通知はリクエスト内で永続キューに積み、バックグラウンドで配送する
+// （送り先の遅延・エラーで Stripe webhook が 500 になり、Beds24処理ごと再実行されるのを防ぐ）
+const OUTBOX_WORKER_INTERVAL_MS = Number(process.env.OUTBOX_WORKER_INTERVAL_MS || 5000);
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 10);
+const OUTBOX_BACKOFF_BASE_MS = Number(process.env.OUTBOX_BACKOFF_BASE_MS || 10 * 1000);
+const OUTBOX_BACKOFF_MAX_MS = Number(process.env.OUTBOX_BACKOFF_MAX_MS || 60 * 60 * 1000);
+const OUTBOX_DEAD_LETTER_MAX_ENTRIES = Number(process.env.OUTBOX_DEAD_LETTER_MAX_ENTRIES || 1000);
+
+const outboxStore = createJsonFileStore_('gas-outbox', () => ({ pending: [], deadLetter: [] }));
+
+let outboxWorkerRunning = false;
+
+/**
+ * ✅ 通知（キュー投入のみ。配送は processOutbox_）
+ * - 振り分け先のチャネルごとに1件ずつ積む
+ * - exceptChannels: 配送失敗の通知を、失敗したチャネル自身へ送らないため
+ */
+async function notifyEvent_(payload, { exceptChannels = [] } = {}) {
+  const type = String(payload?.type || '');
+  const channels = resolveNotifyChannels_(type).filter((name) => !exceptChannels.includes(name));
+
+  if (!channels.length) {
+    console.warn(`⚠️ No notification channel configured for ${type || '(no type)'}.`);
+    return null;
+  }
+
+  // ゲストの言語（メール文面用）。セッションを含むイベントは metadata.lang から
+  const lang = normalizeLang_(payload?.lang) || normalizeLang_(payload?.data?.object?.metadata?.lang) || DEFAULT_LANG;
+
+  const event = buildEventHeader_(payload);
+
+  const messages = channels.map((channel) => ({
+    id: crypto.randomUUID(),
+    type,
+    channel,
+    event,
+    payload: { ...payload, lang },
+    attempts: 0,
+    createdAt: Date.now(),
+    nextAttemptAt: Date.now(),
+    lastError: '',
+  }));
+
+  outboxStore.get().pending.push(...messages);
+  outboxStore.save();
+
+  messages.forEach((m) => console.log(`📥 Notification queued (${mode}): ${m.type} → ${m.channel} id=${m.id}`));
+  setImmediate(() => {
+    processOutbox_().catch((e) => console.error('❌ Outbox worker error:', e.message));
+  });
+
+  return { queued: true, ids: messages.map((m) => m.id) };
+}
+
+function outboxBackoffMs_(attempts) {
+  return Math.min(OUTBOX_BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), OUTBOX_BACKOFF_MAX_MS);
+}
+
+/**
+ * 配送期限が来たメッセージを順に送る
+ * - 成功 → pending から削除
+ * - 失敗 → 指数バックオフで再試行、OUTBOX_MAX_ATTEMPTS 回で deadLetter へ
+ *   （deadLetter 入りは notification_dead_letter として他のチャネルへ知らせる）
+ * - deadLetter は新しいものから OUTBOX_DEAD_LETTER_MAX_ENTRIES 件だけ残す
+ */
+async function processOutbox_() {
+  if (outboxWorkerRunning || !Object.keys(NOTIFY_CHANNELS).length) return;
+  outboxWorkerRunning = true;
+
+  try {
+    const due = outboxStore.get().pending
+      .filter((m) => m.nextAttemptAt <= Date.now())
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const message of due) {
+      message.channel = message.channel || 'gas'; // チャネル導入前に積まれた分は GAS 宛て
+
+      let error = '';
+      try {
+        console.log(`📤 Delivering notification (${mode}): ${message.type} → ${message.channel}`);
+        await deliverNotification_(message);
+        console.log(`✅ Notification delivered: ${message.type} → ${message.channel}`);
+      } catch (e) {
+        error = String(e.message || e);
+      }
+
+      const state = outboxStore.get();
+      const current = state.pending.find((m) => m.id === message.id);
+      if (!current) continue; // 配送中に管理APIで破棄された
+
+      if (!error) {
+        state.pending = state.pending.filter((m) => m.id !== message.id);
+      } else {
+        current.attempts += 1;
+        current.lastError = error;
+        current.lastAttemptAt = Date.now();
+
+        if (current.attempts >= OUTBOX_MAX_ATTEMPTS) {
+          state.pending = state.pending.filter((m) => m.id !== message.id);
+          state.deadLetter.push({ ...current, deadAt: Date.now() });
+          if (state.deadLetter.length > OUTBOX_DEAD_LETTER_MAX_ENTRIES) {
+            state.deadLetter = state.deadLetter.slice(-OUTBOX_DEAD_LETTER_MAX_ENTRIES);
+          }
+          console.error(
+            `☠️ Notification moved to dead letter: ${current.type} → ${current.channel} id=${current.id} error=${error}`
+          );
+        } else {
+          current.nextAttemptAt = Date.now() + outboxBackoffMs_(current.attempts);
+          console.warn(
+            `⚠️ Notification delivery to ${current.channel} failed (attempt ${current.attempts}/${OUTBOX_MAX_ATTEMPTS}), ` +
+            `retry at ${new Date(current.nextAttemptAt).toISOString()}: ${error}`
+          );
+        }
+      }
+
+      outboxStore.save();
+
+      if (error && current.attempts >= OUTBOX_MAX_ATTEMPTS && current.type !== 'notification_dead_letter') {
+        await notifyEvent_(
+          {
+            type: 'notification_dead_letter',
+            failed_channel: current.channel,
+            failed_type: current.type,
+            failed_id: current.id,
+            error,
+          },
+          { exceptChannels: [current.channel] }
+        );
+      }
+    }
+  } finally {
+    outboxWorkerRunning = false;
+  }
+}
+
+function startOutboxWorker_() {
+  setInterval(() => {
+    processOutbox_().catch((e) => console.error('❌ Outbox worker error:', e.message));
+  }, OUTBOX_WORKER_INTERVAL_MS).unref();
+
+  const { pending, deadLetter } = outboxStore.get();
+  console.log(
+    `📮 Outbox worker started (channels=${Object.keys(NOTIFY_CHANNELS).join(',') || 'none'}, ` +
+    `pending=${pending.length}, deadLetter=${deadLetter.length})`
+  );
+}
+
+// ===== 自動キャプチャ（manual capture オーソリの確定） =====
+// キャンセル期限（cancelUntilEpoch）を過ぎた未確定オーソリを定期的に capture する
+const CAPTURE_SCHEDULER_ENABLED = process.env.CAPTURE_SCHEDULER_ENABLED !== 'false';
+const CAPTURE_SCHEDULER_INTERVAL_MINUTES = Number(process.env.CAPTURE_SCHEDULER_INTERVAL_MINUTES || 15);
+
+// カードのオーソリは作成から7日で失効する。失効の手前（余裕時間）で警告する
+const AUTHORIZATION_VALID_MS = 7 * 24 * 60 * 60 * 1000;
+const AUTHORIZATION_EXPIRY_MARGIN_MS =
+  Number(process.env.AUTHORIZATION_EXPIRY_MARGIN_HOURS || 12) * 60 * 60 * 1000;
+
+let captureSchedulerRunning = false;
+
+// 同じ PaymentIntent について失敗通知を繰り返さない（プロセス内）
+const captureFailureNotified = new Set();
+
+async function findSessionByPaymentIntent_(paymentIntentId) {
+  const sessions = await stripe.checkout.sessions.list({
+    payment_intent: paymentIntentId,
+    limit: 1,
+  });
+  return sessions.data[0] || null;
+}
+
+async function captureManualAuthorization_(pi, session) {
+  const md = session?.metadata || {};
+
+  // 日程変更で減額された予約は変更後の料金だけ確定し、残りのオーソリは解放する
+  // （日程変更の追加決済で払い済みの分は、元のオーソリからは確定しない）
+  const stay = session ? currentStayForSession_(session) : null;
+  const dueOnAuthorization = stay ? stay.amount - extraPaidAmount_(stay) : 0;
+  const params = dueOnAuthorization > 0 && dueOnAuthorization < pi.amount ? { amount_to_capture: dueOnAuthorization } : {};
+
+  const captured = await stripe.paymentIntents.capture(
+    pi.id,
+    params,
+    { idempotencyKey: `auto-capture-${pi.id}` }
+  );
+  console.log(`💳 Manual capture completed: ${pi.id} status=${captured.status}`);
+
+  let beds24Updated = null;
+  let beds24UpdateError = '';
+
+  if (session) {
+    try {
+      beds24Updated = await beds24UpdateBookingStatusBySessionId(
+        session.id,
+        md.checkin || undefined,
+        md.checkout || undefined,
+        'confirmed'
+      );
+    } catch (e) {
+      beds24UpdateError = String(e.message || e);
+      console.error('⚠️ Captured, but Beds24 status update failed:', beds24UpdateError);
+    }
+  }
+
+  await notifyEvent_({
+    type: 'manual_capture_captured',
+    data: session ? { object: session } : null,
+    payment_status: '支払い完了',
+    payment_method: 'card',
+    payment_intent: pi.id,
+    amount_received: captured.amount_received,
+    beds24_booking_id: beds24Updated ? String(beds24Updated.updatedBookingId || '') : '',
+    beds24_update_error: beds24UpdateError,
+  });
+
+  return captured;
+}
+
+async function alertAuthorizationExpiring_(pi, session, cancelUntilEpoch, authExpiresAt) {
+  if (pi.metadata?.authExpiryAlertedAt) return;
+
+  console.warn(
+    `⏰ Authorization ${pi.id} expires (${new Date(authExpiresAt).toISOString()}) ` +
+    `before cancel window ends (${new Date(cancelUntilEpoch).toISOString()})`
+  );
+
+  await notifyEvent_({
+    type: 'manual_capture_authorization_expiring',
+    data: session ? { object: session } : null,
+    payment_status: '仮予約',
+    payment_method: 'card',
+    payment_intent: pi.id,
+    authorization_expires_at: new Date(authExpiresAt).toISOString(),
+    cancel_until_epoch: cancelUntilEpoch,
   });
 
-  const text = await r.text();
-  console.log(`🛏️ Beds24 cancel response: status=${r.status} body=${text}`);
+  await stripe.paymentIntents.update(pi.id, {
+    metadata: { authExpiryAlertedAt: String(Date.now()) },
+  });
+}
+
+/**
+ * 未確定オーソリを1巡する
+ * - cancelUntilEpoch 経過 → capture → Beds24 confirmed → GAS通知
+ * - cancelUntilEpoch より先にオーソリが失効する → GASへ警告（1回のみ）
+ */
+async function runCaptureScheduler_() {
+  if (captureSchedulerRunning) {
+    console.log('⏭️ Capture scheduler already running, skip');
+    return { skipped: true };
+  }
+  captureSchedulerRunning = true;
+
+  const summary = { checked: 0, captured: 0, alerted: 0, failed: 0 };
+
+  try {
+    const results = stripe.paymentIntents.search({
+      query: "status:'requires_capture'",
+      limit: 100,
+    });
+
+    for await (const pi of results) {
+      summary.checked += 1;
+      const now = Date.now();
+
+      try {
+        const session = await findSessionByPaymentIntent_(pi.id);
+        const md = session?.metadata || {};
+
+        if (md.captureMethod !== 'manual' || pi.metadata?.guestCanceledAt) continue;
+
+        const cancelUntilEpoch = md.cancelUntilEpoch ? Number(md.cancelUntilEpoch) : NaN;
+        const authExpiresAt = pi.created * 1000 + AUTHORIZATION_VALID_MS;
+
+        if (!Number.isFinite(cancelUntilEpoch)) {
+          console.warn(`⚠️ Manual capture PI ${pi.id} has no cancelUntilEpoch, skip`);
+          continue;
+        }
+
+        if (now >= cancelUntilEpoch) {
+          await captureManualAuthorization_(pi, session);
+          summary.captured += 1;
+        } else if (now >= authExpiresAt - AUTHORIZATION_EXPIRY_MARGIN_MS) {
+          await alertAuthorizationExpiring_(pi, session, cancelUntilEpoch, authExpiresAt);
+          summary.alerted += 1;
+        }
+      } catch (e) {
+        summary.failed += 1;
+        console.error(`❌ Capture scheduler failed for ${pi.id}:`, e.message);
+
+        if (!captureFailureNotified.has(pi.id)) {
+          captureFailureNotified.add(pi.id);
+          try {
+            await notifyEvent_({
+              type: 'manual_capture_failed',
+              payment_intent: pi.id,
+              payment_method: 'card',
+              error: String(e.message || e),
+            });
+          } catch (gasErr) {
+            console.error('⚠️ Notification failed after capture failure:', gasErr.message);
+          }
+        }
+      }
+    }
+
+    console.log('💳 Capture scheduler summary:', JSON.stringify(summary));
+    return summary;
+  } finally {
+    captureSchedulerRunning = false;
+  }
+}
+
+function startCaptureScheduler_() {
+  if (!CAPTURE_SCHEDULER_ENABLED) {
+    console.log('⏸️ Capture scheduler disabled');
+    return;
+  }
+
+  const tick = () => {
+    runCaptureScheduler_().catch((e) => {
+      console.error('❌ Capture scheduler error:', e.message);
+    });
+  };
+
+  setInterval(tick, CAPTURE_SCHEDULER_INTERVAL_MINUTES * 60 * 1000).unref();
+  setTimeout(tick, 10 * 1000).unref();
+
+  console.log(`⏱️ Capture scheduler started (every ${CAPTURE_SCHEDULER_INTERVAL_MINUTES} min)`);
+}
+
+// ===== キャンセルポリシー（チェックインまでの日数で返金率を決める） =====
+// 例: CANCEL_POLICY_JSON='[{"minDays":30,"refundPercent":100},{"minDays":7,"refundPercent":50},{"minDays":0,"refundPercent":0}]'
+const DEFAULT_CANCEL_POLICY = [
+  { minDays: 30, refundPercent: 100 },
+  { minDays: 7, refundPercent: 50 },
+  { minDays: 0, refundPercent: 0 },
+];
+
+function parseCancelPolicy_(text) {
+  if (!text) return DEFAULT_CANCEL_POLICY;
+
+  const tiers = JSON.parse(text);
+  if (!Array.isArray(tiers) || !tiers.length) {
+    throw new Error('CANCEL_POLICY_JSON must be a non-empty array');
+  }
+
+  return tiers
+    .map((t) => ({ minDays: Number(t.minDays), refundPercent: Number(t.refundPercent) }))
+    .filter((t) => Number.isFinite(t.minDays) && t.refundPercent >= 0 && t.refundPercent <= 100)
+    .sort((a, b) => b.minDays - a.minDays);
+}
+
+const CANCEL_POLICY = parseCancelPolicy_(process.env.CANCEL_POLICY_JSON);
+
+// チェックイン（15:00 JST）までの残り日数（切り捨て）
+function daysBeforeCheckinJST_(checkinStr) {
+  const [y, m, d] = String(checkinStr).split('-').map(Number);
+  const checkin = new Date(y, m - 1, d, 15, 0, 0); // JSTローカル扱い
+  return Math.floor((checkin.getTime() - nowJST().getTime()) / (24 * 60 * 60 * 1000));
+}
+
+function findCancelPolicyTier_(daysBefore) {
+  return CANCEL_POLICY.find((t) => daysBefore >= t.minDays) || { minDays: 0, refundPercent: 0 };
+}
+
+function formatYen_(amount) {
+  return `¥${Number(amount || 0).toLocaleString('ja-JP')}`;
+}
+
+/**
+ * キャンセル時の Stripe 処理内容を決める（まだ何も実行しない）
+ * - action:
+ *   'void'            オーソリ取消（manual capture・無料期限内／返金率100%）
+ *   'void_unpaid'     未入金（コンビニ支払い待ち等）の取消
+ *   'partial_capture' オーソリのうちキャンセル料分だけ capture
+ *   'refund'          支払い済み → 返金率に応じて返金（0円もあり）
+ *   'already_canceled' / 'not_cancelable'
+ */
+function buildCancellationPlan_(session, pi) {
+  const md = session.metadata || {};
+  const stay = currentStayForSession_(session);
+  const daysBefore = daysBeforeCheckinJST_(stay.checkin);
+  const tier = findCancelPolicyTier_(daysBefore);
+
+  const base = {
+    daysBefore,
+    refundPercent: tier.refundPercent,
+    paidAmount: 0,
+    refundAmount: 0,
+    chargeAmount: 0,
+  };
+
+  if (pi.status === 'canceled' || pi.metadata?.guestCanceledAt) {
+    return { ...base, action: 'already_canceled' };
+  }
+
+  if (daysBefore < 0) {
+    return { ...base, action: 'not_cancelable', reason: 'after_checkin' };
+  }
+
+  // 日程変更で追加決済がある予約は返金先が複数になるため、スタッフ対応とする
+  if (stay.extraPayments.length) {
+    return { ...base, action: 'not_cancelable', reason: 'has_additional_payments' };
+  }
+
+  if (pi.status === 'requires_capture') {
+    const cancelUntilEpoch = md.cancelUntilEpoch ? Number(md.cancelUntilEpoch) : NaN;
+    const withinFreeWindow = Number.isFinite(cancelUntilEpoch) && Date.now() <= cancelUntilEpoch;
+    const refundPercent = withinFreeWindow ? 100 : tier.refundPercent;
+    // 日程変更で減額済みなら、請求の上限は変更後の料金
+    const stayAmount = Math.min(pi.amount, stay.amount || pi.amount);
+    const chargeAmount = stayAmount - Math.floor((stayAmount * refundPercent) / 100);
+
+    return {
+      ...base,
+      refundPercent,
+      action: chargeAmount > 0 ? 'partial_capture' : 'void',
+      refundAmount: pi.amount - chargeAmount,
+      chargeAmount,
+    };
+  }
+
+  if (['requires_payment_method', 'requires_action', 'requires_confirmation'].includes(pi.status)) {
+    return { ...base, refundPercent: 100, action: 'void_unpaid' };
+  }
+
+  if (pi.status === 'succeeded') {
+    // 日程変更の差額返金分は差し引く
+    const paidAmount = (pi.amount_received || pi.amount) - stay.refunded;
+    const refundAmount = Math.floor((paidAmount * tier.refundPercent) / 100);
+
+    return {
+      ...base,
+      action: 'refund',
+      paidAmount,
+      refundAmount,
+      chargeAmount: paidAmount - refundAmount,
+    };
+  }
+
+  return { ...base, action: 'not_cancelable', reason: `payment_intent_${pi.status}` };
+}
+
+/**
+ * キャンセルリンクの共通チェック（session / token / PaymentIntent）
+ * - 返り値:
+ *   { ok: true, session, pi, plan }
+ *   { ok: false, status, code, session? }（code は MESSAGES のキー。session は言語判定用）
+ */
+async function loadCancellationContext_(sessionId, token) {
+  if (!sessionId || !token) {
+    return { ok: false, status: 400, code: 'CANCEL_LINK_INVALID' };
+  }
+
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+  if (!session) return { ok: false, status: 404, code: 'BOOKING_NOT_FOUND' };
+
+  const md = session.metadata || {};
+
+  // ✅ token照合
+  if (!md.cancelToken || token !== md.cancelToken) {
+    return { ok: false, status: 403, code: 'CANCEL_TOKEN_MISMATCH' };
+  }
+
+  const piId = session.payment_intent;
+  if (!piId) {
+    return { ok: false, status: 400, code: 'PAYMENT_NOT_FOUND', session };
+  }
+
+  const pi = await stripe.paymentIntents.retrieve(piId);
+  const plan = buildCancellationPlan_(session, pi);
+
+  if (plan.action === 'already_canceled') {
+    return { ok: false, status: 200, code: 'ALREADY_CANCELED', session };
+  }
+
+  if (plan.action === 'not_cancelable') {
+    return {
+      ok: false,
+      status: 409,
+      code: plan.reason === 'after_checkin'
+        ? 'NOT_CANCELABLE_AFTER_CHECKIN'
+        : plan.reason === 'has_additional_payments'
+          ? 'NOT_CANCELABLE_ADDITIONAL_PAYMENTS'
+          : 'NOT_CANCELABLE',
+      session,
+    };
+  }
+
+  return { ok: true, session, pi, plan };
+}
+
+function describeCancellationPlan_(plan, lang = 'ja') {
+  const amounts = {
+    charge: formatYen_(plan.chargeAmount),
+    refund: formatYen_(plan.refundAmount),
+    paid: formatYen_(plan.paidAmount),
+    percent: plan.refundPercent,
+  };
+
+  switch (plan.action) {
+    case 'void':
+      return t_(lang, 'CANCEL_PLAN_VOID');
+    case 'void_unpaid':
+      return t_(lang, 'CANCEL_PLAN_VOID_UNPAID');
+    case 'partial_capture':
+      return t_(lang, 'CANCEL_PLAN_PARTIAL_CAPTURE', amounts);
+    case 'refund':
+      return t_(lang, plan.refundAmount > 0 ? 'CANCEL_PLAN_REFUND' : 'CANCEL_PLAN_NO_REFUND', amounts);
+    default:
+      return '';
+  }
+}
+
+function describeCancelPolicy_(lang = 'ja') {
+  return CANCEL_POLICY.map((t) => t_(lang, 'CANCEL_POLICY_TIER', t));
+}
+
+/**
+ * キャンセル内容を Stripe に反映する
+ * - 確定系（capture / refund）は先に PaymentIntent に guestCancelPendingAt を記録し、
+ *   payment_intent.succeeded webhook が Beds24 を confirmed に戻さないようにする
+ * - Stripe の処理が通ってから guestCanceledAt（キャンセル済み）に切り替える。
+ *   失敗したら guestCancelPendingAt を消す（キャンセル済み扱いにせず、ゲストがやり直せるように）
+ */
+async function executeCancellationPlan_(plan, pi) {
+  const withCancelMarker = async (run) => {
+    await stripe.paymentIntents.update(pi.id, { metadata: { guestCancelPendingAt: String(Date.now()) } });
+
+    let result;
+    try {
+      result = await run();
+    } catch (e) {
+      await stripe.paymentIntents
+        .update(pi.id, { metadata: { guestCancelPendingAt: '' } })
+        .catch((clearErr) => console.error(`⚠️ Failed to clear cancel marker on ${pi.id}:`, clearErr.message));
+      throw e;
+    }
+
+    try {
+      await stripe.paymentIntents.update(pi.id, {
+        metadata: {
+          guestCanceledAt: String(Date.now()),
+          guestCancelRefund: String(plan.refundAmount),
+          guestCancelPendingAt: '',
+        },
+      });
+    } catch (e) {
+      // Stripe 側は処理済みなので、ここで失敗させずに Beds24 のキャンセルへ進む
+      console.error(`⚠️ Failed to mark ${pi.id} as guest-canceled:`, e.message);
+    }
+    return result;
+  };
+
+  switch (plan.action) {
+    case 'void':
+    case 'void_unpaid':
+      return { canceled: await stripe.paymentIntents.cancel(pi.id) };
+
+    case 'partial_capture':
+      return withCancelMarker(async () => ({
+        captured: await stripe.paymentIntents.capture(
+          pi.id,
+          { amount_to_capture: plan.chargeAmount },
+          { idempotencyKey: `guest-cancel-capture-${pi.id}` }
+        ),
+      }));
+
+    case 'refund':
+      return withCancelMarker(async () => ({
+        refund: plan.refundAmount > 0
+          ? await stripe.refunds.create(
+            { payment_intent: pi.id, amount: plan.refundAmount, reason: 'requested_by_customer' },
+            { idempotencyKey: `guest-cancel-refund-${pi.id}` }
+          )
+          : null,
+      }));
+
+    default:
+      throw new Error(`Unsupported cancellation action: ${plan.action}`);
+  }
+}
+
+// ✅ キャンセル確認画面（ここではまだキャンセルしない）
+app.get('/cancel', async (req, res) => {
+  try {
+    const sessionId = String(req.query.session_id || '');
+    const token = String(req.query.token || '');
+
+    const ctx = await loadCancellationContext_(sessionId, token);
+    if (!ctx.ok) return res.status(ctx.status).send(t_(resolveLang_(req, ctx.session?.metadata), ctx.code));
+
+    const { session, plan } = ctx;
+    const md = session.metadata || {};
+    const lang = resolveLang_(req, md);
+
+    // 予約内容（表示用・日程変更後は変更後の日程）
+    const { checkin, checkout } = currentStayForSession_(session);
+    const cancelUntilText = md.captureMethod === 'manual' ? md.cancelUntil || '' : '';
+
+    // ✅ 確認ページ（POSTで確定）
+    return res.status(200).send(renderGuestPage_(lang, t_(lang, 'CANCEL_TITLE'), html_`
+      <h2>${t_(lang, 'CANCEL_TITLE')}</h2>
+      <p>${t_(lang, 'CANCEL_INTRO')}</p>
+
+      <ul>
+        ${labelledItem_(lang, 'CHECKIN', checkin)}
+        ${labelledItem_(lang, 'CHECKOUT', checkout)}
+        ${cancelUntilText && labelledItem_(lang, 'FREE_CANCEL_UNTIL', cancelUntilText)}
+      </ul>
+
+      <p><strong>${describeCancellationPlan_(plan, lang)}</strong></p>
+
+      <form method="POST" action="/cancel/confirm">
+        <input type="hidden" name="session_id" value="${sessionId}" />
+        <input type="hidden" name="token" value="${token}" />
+        <input type="hidden" name="lang" value="${lang}" />
+        <input type="hidden" name="expected_refund" value="${plan.refundAmount}" />
+        <button type="submit" style="padding: 12px 16px; font-size: 16px;">
+          ${t_(lang, 'CANCEL_BUTTON')}
+        </button>
+      </form>
+
+      <p style="margin-top: 18px; color:#666;">
+        ${t_(lang, 'CANCEL_NOTE')}
+      </p>
+
+      <h3 style="margin-top: 28px;">${t_(lang, 'CANCEL_POLICY_HEADING')}</h3>
+      <ul style="color:#666;">
+        ${describeCancelPolicy_(lang).map((line) => html_`<li>${line}</li>`)}
+      </ul>
+    `));
+  } catch (e) {
+    console.error('❌ Cancel confirm page error:', e);
+    return res.status(500).send(t_(resolveLang_(req), 'CANCEL_PAGE_FAILED'));
+  }
+});
+
+// ✅ キャンセル実行（ここで初めてStripe cancel / refund）
+app.post('/cancel/confirm', async (req, res) => {
+  try {
+    const sessionId = String(req.body.session_id || '');
+    const token = String(req.body.token || '');
+
+    const ctx = await loadCancellationContext_(sessionId, token);
+    if (!ctx.ok) return res.status(ctx.status).send(t_(resolveLang_(req, ctx.session?.metadata), ctx.code));
+
+    const { session, pi, plan } = ctx;
+    const md = session.metadata || {};
+    const lang = resolveLang_(req, md);
+
+    // ✅ 確認画面の表示後に返金額が変わった（日付をまたいだ等）場合は再確認させる
+    const expectedRefund = req.body.expected_refund;
+    if (expectedRefund !== undefined && Number(expectedRefund) !== plan.refundAmount) {
+      return res.status(409).send(t_(lang, 'CANCEL_REFUND_CHANGED'));
+    }
+
+    // =========================
+    // 1) Stripe処理（最優先）
+    // =========================
+    let stripeResult = null;
+    try {
+      stripeResult = await executeCancellationPlan_(plan, pi);
+      console.log(
+        `✅ Stripe cancellation done: ${pi.id} action=${plan.action} refund=${plan.refundAmount} charge=${plan.chargeAmount}`
+      );
+    } catch (e) {
+      console.error('❌ Stripe cancel failed:', e);
+      return res.status(500).send(t_(lang, 'CANCEL_STRIPE_FAILED'));
+    }
+
+    // =========================
+    // 2) Beds24キャンセル（失敗しても全体は成功扱い）
+    // =========================
+    let beds24Canceled = null;
+    let beds24CancelError = '';
+
+    try {
+      const released = await beds24ReleaseBookingForSession_(session, '/cancel/confirm');
+      beds24Canceled = released.canceled;
+    } catch (e) {
+      beds24CancelError = String(e.message || e);
+      console.error(
+        '⚠️ Beds24 cancel failed, but Stripe cancel already succeeded:',
+        beds24CancelError
+      );
+    }
+
+    // =========================
+    // 3) GAS通知（失敗しても全体は成功扱い）
+    // =========================
+    // manual capture の無料取消は従来どおり manual_capture_canceled で通知
+    const gasType = plan.action === 'void' && md.captureMethod === 'manual'
+      ? 'manual_capture_canceled'
+      : 'booking_canceled';
+
+    try {
+      await notifyEvent_({
+        type: gasType,
+        data: { object: session },
+        payment_status: 'キャンセル',
+        payment_method: sessionPaymentMethod_(session),
+        payment_intent: pi.id,
+        cancel_reason: stripeResult?.canceled?.cancellation_reason || 'requested_by_customer',
+        cancel_action: plan.action,
+        refund_percent: plan.refundPercent,
+        refund_amount: plan.refundAmount,
+        cancellation_fee: plan.chargeAmount,
+        refund_id: stripeResult?.refund?.id || '',
+        beds24_cancel: beds24Canceled || null,
+        beds24_cancel_error: beds24CancelError || '',
+      });
+
+      console.log(`✅ ${gasType} notification queued`);
+    } catch (e) {
+      console.error('⚠️ Notification failed after Stripe cancel:', e);
+    }
+
+    // =========================
+    // 4) ユーザー返却
+    // =========================
+    const summary = describeCancellationPlan_(plan, lang);
+
+    if (beds24CancelError) {
+      return res.status(200).send(t_(lang, 'CANCEL_DONE_SYNC_PENDING', { summary }));
+    }
+
+    return res.status(200).send(t_(lang, 'CANCEL_DONE', { summary }));
+
+  } catch (e) {
+    console.error('❌ Cancel execute error:', e);
+    return res.status(500).send(t_(resolveLang_(req), 'CANCEL_FAILED'));
+  }
+});
+
+// ===== 日程変更（ゲスト用・modifyToken で保護） =====
+// 差額が出る場合、増額分は別の Checkout Session で決済し、減額分は返金する（未確定のオーソリは確定額を下げる）。
+// 変更後の日程・料金は対応表（booking-map）に持つ（Checkout Session の metadata は更新できないため）
+const STAY_CHANGE_PAYMENT_TTL_MINUTES = Math.min(
+  Math.max(Number(process.env.STAY_CHANGE_PAYMENT_TTL_MINUTES || 30), 30),
+  24 * 60
+); // Stripe の制約: 30分〜24時間
+
+// 追加決済の Checkout Session → 変更内容。metadata はクライアントからも付けられるので、
+// 日程変更の追加決済かどうか・何を反映するかはこの記録だけで判断する
+const stayChangeSessionStore = createJsonFileStore_('stay-change-sessions', () => ({ sessions: {} }));
+
+function recordStayChangeSession_(changeSessionId, change) {
+  const state = stayChangeSessionStore.get();
+  const now = Date.now();
+
+  const cutoff = now - STRIPE_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  Object.keys(state.sessions).forEach((id) => {
+    if (state.sessions[id].createdAt < cutoff) delete state.sessions[id];
+  });
+
+  state.sessions[changeSessionId] = { ...change, createdAt: now };
+  stayChangeSessionStore.save();
+}
+
+function getStayChangeSession_(changeSessionId) {
+  return (changeSessionId && stayChangeSessionStore.get().sessions[changeSessionId]) || null;
+}
+
+// 予約の現在の日程・料金（日程変更後は対応表の値）
+function currentStayForSession_(session) {
+  const md = session?.metadata || {};
+  const mapping = getBookingMapping_(session?.id) || {};
+  const changed = Boolean(mapping.stayChangedAt);
+
+  return {
+    checkin: changed ? mapping.checkin : md.checkin || '',
+    checkout: changed ? mapping.checkout : md.checkout || '',
+    amount: changed ? Number(mapping.stayAmount) : Number(session?.amount_total ?? md.total ?? 0),
+    refunded: Number(mapping.stayRefunded || 0),
+    extraPayments: mapping.extraPayments || [],
+    changes: mapping.stayChanges || [],
+  };
+}
+
+// 日程変更の追加決済（別 PaymentIntent）で払い済みの合計
+function extraPaidAmount_(stay) {
+  return (stay?.extraPayments || []).reduce((sum, p) => sum + Number(p.amount || 0), 0);
+}
+
+/**
+ * 日程変更リンクの共通チェック（session / token / 予約状態）
+ * - 返り値:
+ *   { ok: true, session, pi, stay, bookingId }
+ *   { ok: false, status, message }
+ */
+async function loadStayChangeContext_(sessionId, token) {
+  if (!sessionId || !token) {
+    return { ok: false, status: 400, code: 'MODIFY_LINK_INVALID' };
+  }
+
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+  if (!session) return { ok: false, status: 404, code: 'BOOKING_NOT_FOUND' };
+
+  const md = session.metadata || {};
+  if (!md.modifyToken || !timingSafeEqualText_(token, md.modifyToken)) {
+    return { ok: false, status: 403, code: 'MODIFY_TOKEN_MISMATCH' };
+  }
+
+  const mapping = getBookingMapping_(session.id);
+  const bookingId = mapping?.beds24BookingId ? String(mapping.beds24BookingId) : '';
+  if (!bookingId || ['cancelled', 'overbooked'].includes(mapping.status)) {
+    return { ok: false, status: 409, code: 'NOT_MODIFIABLE', session };
+  }
+
+  const pi = await stripe.paymentIntents.retrieve(session.payment_intent);
+  if (pi.status === 'canceled' || pi.metadata?.guestCanceledAt) {
+    return { ok: false, status: 200, code: 'ALREADY_CANCELED', session };
+  }
+
+  if (!['succeeded', 'requires_capture'].includes(pi.status)) {
+    return { ok: false, status: 409, code: 'MODIFY_PAYMENT_INCOMPLETE', session };
+  }
+
+  const stay = currentStayForSession_(session);
+  if (stay.checkin <= formatYmdJst_(nowJST())) {
+    return { ok: false, status: 409, code: 'NOT_MODIFIABLE_AFTER_CHECKIN', session };
+  }
+
+  return { ok: true, session, pi, stay, bookingId };
+}
+
+/**
+ * 新しい日程の可否と差額を計算する（ここでは何も変更しない）
+ * - 返り値:
+ *   { ok: true, plan: { action, checkin, checkout, nights, newAmount, currentAmount, difference, bookingId } }
+ *   { ok: false, code, error, params }（error は日本語。ゲスト向けには code / params から t_()）
+ * - action: 'charge'（追加決済）/ 'refund'（差額返金）/ 'reduce_authorization'（確定額を下げる）/ 'no_charge'
+ */
+async function buildStayChangePlan_(ctx, checkin, checkout) {
+  const { session, pi, stay, bookingId } = ctx;
+  const md = session.metadata || {};
+  const fail = (code, params = {}) => ({ ok: false, code, error: t_('ja', code, params), params });
+
+  if (checkin === stay.checkin && checkout === stay.checkout) {
+    return fail('SAME_DATES');
+  }
+
+  const rules = evaluateBookingRules_(checkin, checkout);
+  if (!rules.ok) return fail(rules.code, rules.params);
+
+  const quoted = await buildStayQuote_({
+    checkin,
+    checkout,
+    adults: md.adults,
+    child11: md.child11,
+    child6: md.child6,
+    child3: md.child3,
+  });
+  if (!quoted.ok) return fail(quoted.code, quoted.params);
+
+  const availability = await beds24CheckAvailability(checkin, checkout, { excludeBookingIds: [bookingId] });
+  if (!availability.ok) {
+    return fail('NOT_AVAILABLE');
+  }
+
+  const newAmount = quoted.quote.amount;
+  const difference = newAmount - stay.amount;
+
+  let action = 'no_charge';
+  if (difference > 0) action = 'charge';
+  if (difference < 0) action = pi.status === 'requires_capture' ? 'reduce_authorization' : 'refund';
 
-  if (!r.ok) {
-    throw new Error(`Beds24 cancel failed for bookingId=${bookingId}: ${r.status} ${text}`);
+  if (action === 'refund' && -difference > (pi.amount_received || pi.amount) - stay.refunded) {
+    return fail('REFUND_EXCEEDS_PAYMENT');
   }
 
-  const json = safeJsonParse_(text);
+  // 元のオーソリで確定するのは「変更後の料金 − 追加決済済みの分」。
+  // それが 0 以下になる（追加決済の返金が要る）減額はオンラインでは扱わない
+  if (action === 'reduce_authorization' && newAmount - extraPaidAmount_(stay) <= 0) {
+    return fail('EXTRA_PAYMENT_REFUND_REQUIRED');
+  }
 
   return {
-    canceledBookingId: bookingId,
-    response: json,
+    ok: true,
+    plan: {
+      action,
+      checkin,
+      checkout,
+      nights: quoted.quote.nights,
+      newAmount,
+      currentAmount: stay.amount,
+      difference,
+      bookingId,
+    },
   };
 }
 
-async function beds24UpdateBookingStatusBySessionId(sessionId, from, to, newStatus) {
-  if (!sessionId) return null;
-
-  const existing = await beds24FindExistingBookingBySessionId(sessionId, from, to);
-  if (!existing) {
-    console.log(`ℹ️ No Beds24 booking found for session ${sessionId}, skip status update`);
-    return null;
+function describeStayChangePlan_(plan, lang) {
+  const amount = formatYen_(Math.abs(plan.difference));
+
+  switch (plan.action) {
+    case 'charge':
+      return t_(lang, 'MODIFY_PLAN_CHARGE', { amount });
+    case 'refund':
+      return t_(lang, 'MODIFY_PLAN_REFUND', { amount });
+    case 'reduce_authorization':
+      return t_(lang, 'MODIFY_PLAN_REDUCE_AUTHORIZATION', { amount });
+    default:
+      return t_(lang, 'MODIFY_PLAN_NO_CHARGE');
   }
+}
 
-  const token = await beds24GetAccessToken();
-
-  const payload = [
-    {
-      id: Number(existing.id),
-      status: newStatus,
-    },
-  ];
-
-  const r = await fetch(`${BEDS24_BASE_URL}/bookings`, {
-    method: 'POST',
-    headers: {
-      accept: 'application/json',
-      'content-type': 'application/json',
-      token,
-    },
-    body: JSON.stringify(payload),
+// Beds24 API: 予約の日程・料金を変更
+async function beds24MoveBooking_(bookingId, arrival, departure, price) {
+  const r = await beds24Request_('POST', '/bookings', {
+    label: 'booking move',
+    body: [{ id: Number(bookingId), arrival, departure, price }],
+    idempotent: true,
   });
 
-  const text = await r.text();
   if (!r.ok) {
-    throw new Error(`Beds24 /bookings status update failed: ${r.status} ${text}`);
+    throw new Error(`Beds24 /bookings move failed: ${r.status} ${r.text}`);
   }
 
-  const json = safeJsonParse_(text);
-
-  return {
-    updatedBookingId: existing.id,
-    status: newStatus,
-    response: json,
-  };
+  invalidateAvailabilityCache_('booking moved');
+  return safeJsonParse_(r.text);
 }
 
-// Beds24 API: 期間指定で override を入れる
-async function beds24SetCalendarOverrideRange_(fromYmd, toYmd, overrideValue) {
-  if (!fromYmd || !toYmd) throw new Error('fromYmd and toYmd are required');
-  if (!BEDS24_ROOM_ID) throw new Error('Missing BEDS24_ROOM_ID');
+/**
+ * 日程変更を反映する（Beds24移動 → 対応表 → 差額返金 → 滞在ルール → GAS）
+ * - Beds24 の移動に失敗したら何も変えずに throw
+ * - 返金・滞在ルール・Stripe metadata の失敗はログと GAS 通知に残して続行
+ */
+async function applyStayChange_(session, plan, paymentIntentId, { extraPayment = null, source = 'guest' } = {}) {
+  const stay = currentStayForSession_(session);
+  const changeNo = stay.changes.length + 1;
+  const previous = { checkin: stay.checkin, checkout: stay.checkout, amount: stay.amount };
+  const current = { checkin: plan.checkin, checkout: plan.checkout, amount: plan.newAmount };
 
-  const token = await beds24GetAccessToken();
+  await beds24MoveBooking_(plan.bookingId, plan.checkin, plan.checkout, plan.newAmount);
+  console.log(`🔀 Beds24 booking ${plan.bookingId} moved: ${previous.checkin}..${previous.checkout} → ${plan.checkin}..${plan.checkout}`);
 
-  const payload = [
-    {
-      roomId: Number(BEDS24_ROOM_ID),
-      calendar: [
-        {
-          from: fromYmd,
-          to: toYmd,
-          override: overrideValue,
-        },
-      ],
-    },
-  ];
+  let refund = null;
+  let refundError = '';
 
-  console.log(
-    '🗓️ Beds24 set calendar override range payload:',
-    JSON.stringify(payload)
-  );
+  if (plan.action === 'refund') {
+    try {
+      refund = await stripe.refunds.create(
+        { payment_intent: paymentIntentId, amount: -plan.difference },
+        { idempotencyKey: `stay-change-refund-${session.id}-${changeNo}` }
+      );
+    } catch (e) {
+      refundError = String(e.message || e);
+      console.error(`⚠️ Stay change refund failed for ${paymentIntentId}:`, refundError);
+    }
+  }
 
-  const r = await fetch(`${BEDS24_BASE_URL}/inventory/rooms/calendar`, {
-    method: 'POST',
-    headers: {
-      accept: 'application/json',
-      'content-type': 'application/json',
-      token,
-    },
-    body: JSON.stringify(payload),
+  saveBookingMapping_(session.id, {
+    checkin: plan.checkin,
+    checkout: plan.checkout,
+    stayAmount: plan.newAmount,
+    stayChangedAt: Date.now(),
+    stayRefunded: stay.refunded + (refund ? refund.amount : 0),
+    extraPayments: extraPayment ? [...stay.extraPayments, extraPayment] : stay.extraPayments,
+    stayChanges: [
+      ...stay.changes,
+      {
+        no: changeNo,
+        at: Date.now(),
+        source,
+        action: plan.action,
+        difference: plan.difference,
+        previous,
+        current,
+        refundId: refund?.id || '',
+        paymentIntentId: extraPayment?.paymentIntentId || '',
+      },
+    ],
   });
 
-  const text = await r.text();
-  console.log(`🗓️ Beds24 set calendar override range response: status=${r.status} body=${text}`);
+  try {
+    await stripe.paymentIntents.update(paymentIntentId, {
+      metadata: {
+        stayCheckin: plan.checkin,
+        stayCheckout: plan.checkout,
+        stayAmount: String(plan.newAmount),
+      },
+    });
+  } catch (e) {
+    console.error(`⚠️ Failed to write stay change onto ${paymentIntentId}:`, e.message);
+  }
 
-  if (!r.ok) {
-    throw new Error(`Beds24 /inventory/rooms/calendar failed: ${r.status} ${text}`);
+  try {
+    await beds24SyncStayRules_('stay change');
+  } catch (stayRuleErr) {
+    console.error('⚠️ Stay rules sync after stay change failed:', stayRuleErr.message);
   }
 
-  return safeJsonParse_(text);
+  await notifyEvent_({
+    type: 'booking_dates_changed',
+    data: { object: session },
+    payment_method: sessionPaymentMethod_(session),
+    beds24_booking_id: plan.bookingId,
+    previous,
+    current,
+    change_action: plan.action,
+    price_difference: plan.difference,
+    refund_id: refund?.id || '',
+    refund_error: refundError,
+    extra_payment_intent: extraPayment?.paymentIntentId || '',
+  });
+
+  return { previous, current, refund, refundError };
 }
 
-async function beds24ApplyStayRules_(arrival, departure) {
-  if (!arrival || !departure) return null;
+/**
+ * 日程変更の追加決済（stayChangeSessionStore に記録のある Checkout Session）に関する Stripe イベント
+ * - change: 作成時に記録した変更内容（session の metadata は使わない）
+ * - 決済完了で日程変更を反映。その間に空きが無くなった・元予約が変わっていた場合は追加決済を返金
+ * - 期限切れ・失敗は仮押さえを解放するだけ
+ */
+async function handleStayChangePaymentEvent_(event, session, change) {
+
+  const paid =
+    (event.type === 'checkout.session.completed' && session.payment_status === 'paid') ||
+    event.type === 'checkout.session.async_payment_succeeded';
+
+  if (
+    event.type === 'checkout.session.expired' ||
+    event.type === 'checkout.session.async_payment_failed'
+  ) {
+    releaseInventoryHoldForSession_(session, event.type);
+    return { action: 'stay_change_payment_released', sessionId: session.id };
+  }
 
-  // IN日
-  await beds24SetCalendarOverrideRange_(
-    arrival,
-    arrival,
-    'noCheckInOrCheckOut'
-  );
+  if (!paid) return { action: 'ignored_stay_change_payment', sessionId: session.id };
 
-  // OUT日
-  await beds24SetCalendarOverrideRange_(
-    departure,
-    departure,
-    'noCheckInOrCheckOut'
-  );
+  return withKeyedLock_(`session:${change.parentSessionId}`, async () => {
+    const parent = await stripe.checkout.sessions.retrieve(change.parentSessionId);
+    const stay = currentStayForSession_(parent);
 
-  // 中日
-  const midStart = addDaysYmd_(arrival, 1);
-  const midEnd = addDaysYmd_(departure, -1);
+    if (stay.extraPayments.some((p) => p.sessionId === session.id)) {
+      return { action: 'stay_change_already_applied', sessionId: session.id };
+    }
 
-  if (midStart <= midEnd) {
-    await beds24SetCalendarOverrideRange_(
-      midStart,
-      midEnd,
-      'blackout'
-    );
-  }
+    const bookingId = lookupMappedBeds24BookingId_(parent.id);
+    const unchanged =
+      stay.checkin === change.baseCheckin &&
+      stay.checkout === change.baseCheckout &&
+      stay.amount === change.baseAmount &&
+      session.amount_total === change.difference;
 
-  return {
-    arrival,
-    departure,
-    midStart,
-    midEnd,
-  };
-}
+    const availability = bookingId && unchanged
+      ? await beds24CheckAvailability(change.newCheckin, change.newCheckout, { ignoreHolds: true, excludeBookingIds: [bookingId] })
+      : { ok: false };
 
-async function beds24ClearStayRules_(arrival, departure) {
-  if (!arrival || !departure) return null;
+    releaseInventoryHoldForSession_(session, event.type);
 
-  // IN日
-  await beds24SetCalendarOverrideRange_(
-    arrival,
-    arrival,
-    'none'
-  );
+    if (!availability.ok) {
+      const refund = await stripe.refunds.create(
+        { payment_intent: session.payment_intent },
+        { idempotencyKey: `stay-change-unwind-${session.id}` }
+      );
+      console.error(`🚨 Stay change for ${parent.id} could not be applied, extra payment refunded (${refund.id})`);
+
+      await notifyEvent_({
+        type: 'booking_date_change_failed',
+        data: { object: parent },
+        reason: unchanged ? 'not_available' : 'booking_changed',
+        requested: { checkin: change.newCheckin, checkout: change.newCheckout, amount: change.newAmount },
+        refund_id: refund.id,
+      });
 
-  // OUT日
-  await beds24SetCalendarOverrideRange_(
-    departure,
-    departure,
-    'none'
-  );
+      return { action: 'stay_change_unwound', sessionId: session.id, refundId: refund.id };
+    }
 
-  // 中日
-  const midStart = addDaysYmd_(arrival, 1);
-  const midEnd = addDaysYmd_(departure, -1);
+    const plan = {
+      action: 'charge',
+      checkin: change.newCheckin,
+      checkout: change.newCheckout,
+      newAmount: change.newAmount,
+      currentAmount: stay.amount,
+      difference: change.difference,
+      bookingId,
+    };
 
-  if (midStart <= midEnd) {
-    await beds24SetCalendarOverrideRange_(
-      midStart,
-      midEnd,
-      'none'
-    );
-  }
+    await applyStayChange_(parent, plan, parent.payment_intent, {
+      extraPayment: {
+        sessionId: session.id,
+        paymentIntentId: session.payment_intent,
+        amount: session.amount_total,
+      },
+    });
 
-  return {
-    arrival,
-    departure,
-    midStart,
-    midEnd,
-  };
+    return { action: 'stay_changed', sessionId: parent.id, beds24BookingId: bookingId };
+  });
 }
 
-app.post('/beds24/webhook/booking', async (req, res) => {
+// ✅ 日程変更：新しい日程の入力
+app.get('/modify', async (req, res) => {
+  try {
+    const sessionId = String(req.query.session_id || '');
+    const token = String(req.query.token || '');
+
+    const ctx = await loadStayChangeContext_(sessionId, token);
+    if (!ctx.ok) return res.status(ctx.status).send(t_(resolveLang_(req, ctx.session?.metadata), ctx.code));
+
+    const { session, stay } = ctx;
+    const lang = resolveLang_(req, session.metadata);
+    const sep = t_(lang, 'LABEL_SEPARATOR');
+
+    return res.status(200).send(renderGuestPage_(lang, t_(lang, 'MODIFY_TITLE'), html_`
+      <h2>${t_(lang, 'MODIFY_TITLE')}</h2>
+      <ul>
+        ${labelledItem_(lang, 'MODIFY_CURRENT_CHECKIN', stay.checkin)}
+        ${labelledItem_(lang, 'MODIFY_CURRENT_CHECKOUT', stay.checkout)}
+        ${labelledItem_(lang, 'MODIFY_CURRENT_AMOUNT', formatYen_(stay.amount))}
+      </ul>
+
+      <form method="GET" action="/modify/review">
+        <input type="hidden" name="session_id" value="${sessionId}" />
+        <input type="hidden" name="token" value="${token}" />
+        <input type="hidden" name="lang" value="${lang}" />
+        <p><label>${t_(lang, 'MODIFY_NEW_CHECKIN')}${sep}<input type="date" name="checkin" value="${stay.checkin}" required /></label></p>
+        <p><label>${t_(lang, 'MODIFY_NEW_CHECKOUT')}${sep}<input type="date" name="checkout" value="${stay.checkout}" required /></label></p>
+        <button type="submit" style="padding: 12px 16px; font-size: 16px;">${t_(lang, 'MODIFY_CHECK_BUTTON')}</button>
+      </form>
+    `));
+  } catch (e) {
+    console.error('❌ Modify page error:', e);
+    return res.status(500).send(t_(resolveLang_(req), 'MODIFY_PAGE_FAILED'));
+  }
+});
+
+// ✅ 日程変更：空室・差額の確認（ここではまだ変更しない）
+app.get('/modify/review', async (req, res) => {
   try {
-    // 1) 超簡易認証（URLトークン）
+    const sessionId = String(req.query.session_id || '');
     const token = String(req.query.token || '');
-    if (BEDS24_WEBHOOK_TOKEN && token !== BEDS24_WEBHOOK_TOKEN) {
-      return res.status(403).send('Forbidden');
+    const checkin = String(req.query.checkin || '');
+    const checkout = String(req.query.checkout || '');
+
+    const ctx = await loadStayChangeContext_(sessionId, token);
+    if (!ctx.ok) return res.status(ctx.status).send(t_(resolveLang_(req, ctx.session?.metadata), ctx.code));
+
+    const { session, stay } = ctx;
+    const lang = resolveLang_(req, session.metadata);
+
+    const result = await buildStayChangePlan_(ctx, checkin, checkout);
+    if (!result.ok) return res.status(409).send(t_(lang, result.code, result.params));
+
+    const { plan } = result;
+
+    return res.status(200).send(renderGuestPage_(lang, t_(lang, 'MODIFY_REVIEW_TITLE'), html_`
+      <h2>${t_(lang, 'MODIFY_REVIEW_TITLE')}</h2>
+      <ul>
+        ${labelledItem_(lang, 'MODIFY_BEFORE', t_(lang, 'MODIFY_STAY_SUMMARY', {
+          checkin: stay.checkin,
+          checkout: stay.checkout,
+          amount: formatYen_(stay.amount),
+        }))}
+        ${labelledItem_(lang, 'MODIFY_AFTER', t_(lang, 'MODIFY_NEW_STAY_SUMMARY', {
+          checkin: plan.checkin,
+          checkout: plan.checkout,
+          nights: plan.nights,
+          amount: formatYen_(plan.newAmount),
+        }))}
+      </ul>
+
+      <p><strong>${describeStayChangePlan_(plan, lang)}</strong></p>
+
+      <form method="POST" action="/modify/confirm">
+        <input type="hidden" name="session_id" value="${sessionId}" />
+        <input type="hidden" name="token" value="${token}" />
+        <input type="hidden" name="lang" value="${lang}" />
+        <input type="hidden" name="checkin" value="${plan.checkin}" />
+        <input type="hidden" name="checkout" value="${plan.checkout}" />
+        <input type="hidden" name="expected_difference" value="${plan.difference}" />
+        <button type="submit" style="padding: 12px 16px; font-size: 16px;">
+          ${t_(lang, plan.action === 'charge' ? 'MODIFY_PAY_BUTTON' : 'MODIFY_APPLY_BUTTON')}
+        </button>
+      </form>
+    `));
+  } catch (e) {
+    console.error('❌ Modify review error:', e);
+    if (isBeds24Unavailable_(e)) {
+      return res.status(503).send(t_(resolveLang_(req), 'BEDS24_UNAVAILABLE'));
     }
+    return res.status(500).send(t_(resolveLang_(req), 'MODIFY_REVIEW_FAILED'));
+  }
+});
 
-    // 2) 受信ボディ
-    const body = req.body || {};
-    console.log('📩 Beds24 webhook received:', JSON.stringify(body).slice(0, 2000));
+// ✅ 日程変更：実行（増額は追加決済へ、減額・同額はその場で反映）
+app.post('/modify/confirm', async (req, res) => {
+  const sessionId = String(req.body.session_id || '');
+  const token = String(req.body.token || '');
+  const checkin = String(req.body.checkin || '');
+  const checkout = String(req.body.checkout || '');
 
-    const action = String(body.action || '').toUpperCase();
-    console.log('🧪 Beds24 webhook action =', action);
+  try {
+    const result = await withKeyedLock_(`session:${sessionId}`, async () => {
+      const ctx = await loadStayChangeContext_(sessionId, token);
+      if (!ctx.ok) return { status: ctx.status, message: t_(resolveLang_(req, ctx.session?.metadata), ctx.code) };
 
-    // 3) webhookは dirty signal として扱う
-    //    bookingId は追わず、監視期間の予約一覧を再取得して GAS に渡す
-    const syncWindow = buildBeds24SyncWindow_();
-    const snapshot = await beds24ListBookingsInWindow_(syncWindow.from, syncWindow.to);
+      const { session, pi, stay } = ctx;
+      const lang = resolveLang_(req, session.metadata);
+
+      const planned = await buildStayChangePlan_(ctx, checkin, checkout);
+      if (!planned.ok) return { status: 409, message: t_(lang, planned.code, planned.params) };
+
+      const { plan } = planned;
 
-    await forwardEventToGas({
-      type: 'beds24_snapshot_sync',
-      beds24: {
-        action,
-        raw: body,
-        syncWindow,
-        snapshotCount: snapshot.rows.length,
-        snapshot: snapshot.rows,
+      // ✅ 確認画面の表示後に差額が変わった場合は再確認させる
+      if (Number(req.body.expected_difference) !== plan.difference) {
+        return { status: 409, message: t_(lang, 'MODIFY_AMOUNT_CHANGED') };
       }
-    });
 
-    console.log(
-      `✅ Beds24 snapshot forwarded to GAS. rows=${snapshot.rows.length} window=${syncWindow.from}..${syncWindow.to}`
-    );
+      if (plan.action === 'charge') {
+        const expiresAt = Math.floor(Date.now() / 1000) + STAY_CHANGE_PAYMENT_TTL_MINUTES * 60;
+        const inventory = await checkAndHoldInventory_(plan.checkin, plan.checkout, expiresAt, 'stay_change', {
+          excludeBookingIds: [plan.bookingId],
+        });
+        if (!inventory.ok) return { status: inventory.status, message: t_(lang, inventory.code) };
+
+        let changeSession;
+        try {
+          changeSession = await stripe.checkout.sessions.create({
+            mode: 'payment',
+            payment_method_types: ['card'],
+            customer_email: session.customer_details?.email || session.customer_email || undefined,
+            line_items: [
+              {
+                price_data: {
+                  currency: 'jpy',
+                  product_data: { name: t_(lang, 'MODIFY_ITEM_NAME', { checkin: plan.checkin, checkout: plan.checkout }) },
+                  unit_amount: plan.difference,
+                },
+                quantity: 1,
+              },
+            ],
+            metadata: {
+              kind: 'stay_change',
+              parentSessionId: session.id,
+              baseCheckin: stay.checkin,
+              baseCheckout: stay.checkout,
+              baseAmount: String(stay.amount),
+              newCheckin: plan.checkin,
+              newCheckout: plan.checkout,
+              newAmount: String(plan.newAmount),
+              difference: String(plan.difference),
+              holdId: inventory.holdId,
+              lang,
+            },
+            expires_at: expiresAt,
+            locale: lang,
+            // 決済後は元の予約の状況ページへ
+            success_url: bookingSuccessUrl_(bookingSuccessBaseUrl_(req), session.metadata?.viewToken, session.id),
+            cancel_url: checkoutCancelUrl_(req, inventory.holdId, inventory.releaseToken),
+          });
+        } catch (e) {
+          releaseInventoryHold_({ holdId: inventory.holdId }, 'stay change session create failed');
+          throw e;
+        }
 
-    return res.json({
-      ok: true,
-      mode: 'snapshot_sync',
-      rows: snapshot.rows.length,
-      from: syncWindow.from,
-      to: syncWindow.to,
+        recordStayChangeSession_(changeSession.id, {
+          parentSessionId: session.id,
+          bookingId: plan.bookingId,
+          baseCheckin: stay.checkin,
+          baseCheckout: stay.checkout,
+          baseAmount: stay.amount,
+          newCheckin: plan.checkin,
+          newCheckout: plan.checkout,
+          newAmount: plan.newAmount,
+          difference: plan.difference,
+        });
+        bindInventoryHoldToSession_(inventory.holdId, changeSession.id);
+        return { redirect: changeSession.url };
+      }
+
+      // 減額・同額はその場で反映（他のお客様の仮押さえと競合しないよう直列化して再チェック）
+      const applied = await withKeyedLock_('inventory-holds', async () => {
+        const availability = await beds24CheckAvailability(plan.checkin, plan.checkout, {
+          excludeBookingIds: [plan.bookingId],
+        });
+        if (!availability.ok) return null;
+        return applyStayChange_(session, plan, pi.id);
+      });
+
+      if (!applied) {
+        return { status: 409, message: t_(lang, 'NOT_AVAILABLE') };
+      }
+
+      const note = applied.refundError ? t_(lang, 'MODIFY_REFUND_DELAY_NOTE') : '';
+      return {
+        status: 200,
+        message: t_(lang, 'MODIFY_DONE', {
+          checkin: plan.checkin,
+          checkout: plan.checkout,
+          summary: describeStayChangePlan_(plan, lang),
+        }) + note,
+      };
     });
+
+    if (result.redirect) return res.redirect(303, result.redirect);
+    return res.status(result.status).send(result.message);
   } catch (e) {
-    console.error('❌ Beds24 webhook error:', e);
-    return res.status(500).json({ ok: false, error: String(e.message || e) });
+    console.error('❌ Modify execute error:', e);
+    if (isBeds24Unavailable_(e)) {
+      return res.status(503).send(t_(resolveLang_(req), 'BEDS24_UNAVAILABLE'));
+    }
+    return res.status(500).send(t_(resolveLang_(req), 'MODIFY_FAILED'));
   }
 });
 
-// ✅ GAS転送関数
-async function forwardEventToGas(payload) {
-  if (!gasWebhookUrl) {
-    console.warn('⚠️ GAS webhook URL not configured.');
-    return;
-  }
+// ===== 予約状況ページ／API（ゲスト用・viewToken で保護） =====
+// success_url に session_id と viewToken を付けて返すので、決済直後のページからも参照できる
+// - 既定の戻り先はこのサーバの /booking。BOOKING_SUCCESS_URL で独自ページに差し替える場合、
+//   そのページは session_id / token をこのサーバの /api/booking に渡して表示する
+//   （app.use(cors()) で全オリジンを許可しているので、別ドメインの静的ページからも呼べる）
+const BOOKING_SUCCESS_URL = (process.env.BOOKING_SUCCESS_URL || '').trim();
 
-  console.log(`📤 Forwarding event to GAS (${mode})...`);
-  const response = await fetch(gasWebhookUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload),
-  });
+function bookingSuccessBaseUrl_(req) {
+  return BOOKING_SUCCESS_URL || `${publicBaseUrl_(req)}/booking`;
+}
 
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`GAS responded with error: ${text}`);
+// {CHECKOUT_SESSION_ID} は Stripe がリダイレクト時に置き換える
+function bookingSuccessUrl_(baseUrl, viewToken, sessionId = '{CHECKOUT_SESSION_ID}') {
+  if (!viewToken) return baseUrl;
+  const sep = baseUrl.includes('?') ? '&' : '?';
+  return `${baseUrl}${sep}session_id=${sessionId}&token=${encodeURIComponent(viewToken)}`;
+}
+
+/**
+ * 表示用の支払い状態
+ * - 'cancelled' / 'authorized' / 'awaiting_konbini' / 'paid' / 'processing' / 'pending'
+ */
+function resolveBookingPaymentState_(session, pi, mapping) {
+  if (
+    session.status === 'expired' ||
+    pi?.status === 'canceled' ||
+    pi?.metadata?.guestCanceledAt ||
+    ['cancelled', 'overbooked'].includes(mapping?.status)
+  ) {
+    return 'cancelled';
   }
 
-  console.log('✅ Event successfully forwarded to GAS.');
+  if (!pi) return 'pending';
+  if (pi.status === 'requires_capture') return 'authorized';
+  if (pi.status === 'succeeded') return 'paid';
+  if (pi.status === 'processing') return 'processing';
+  if (pi.status === 'requires_action' && pi.next_action?.konbini_display_details) return 'awaiting_konbini';
+  return 'pending';
 }
 
-// ✅ キャンセル確認画面（ここではまだキャンセルしない）
-app.get('/cancel', async (req, res) => {
-  try {
-    const sessionId = String(req.query.session_id || '');
-    const token = String(req.query.token || '');
+/**
+ * Checkout Session・PaymentIntent・Beds24 予約から予約状況をまとめる
+ * - token は viewToken（旧予約は cancelToken でも可）
+ * - Beds24 取得に失敗しても Stripe 側の情報だけで返す
+ * - 返り値: { ok: true, booking } / { ok: false, status, code }（code は MESSAGES のキー）
+ */
+async function loadBookingStatus_(sessionId, token) {
+  if (!sessionId || !token) {
+    return { ok: false, status: 400, code: 'LINK_INVALID' };
+  }
 
-    if (!sessionId || !token) {
-      return res.status(400).send('キャンセルURLが不正です（必要な情報が不足しています）。');
+  let session;
+  try {
+    session = await stripe.checkout.sessions.retrieve(sessionId);
+  } catch (e) {
+    if (e.statusCode === 404) {
+      return { ok: false, status: 404, code: 'BOOKING_NOT_FOUND' };
     }
+    throw e;
+  }
 
-    // 1) Checkout Session を取得（metadata確認）
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
-    if (!session) return res.status(404).send('予約情報が見つかりませんでした。');
+  const md = session.metadata || {};
+  const tokens = [md.viewToken, md.cancelToken].filter(Boolean);
+  if (!tokens.some((t) => timingSafeEqualText_(token, t))) {
+    return { ok: false, status: 403, code: 'TOKEN_MISMATCH' };
+  }
 
-    const md = session.metadata || {};
-    const captureMethod = md.captureMethod || '';
-    const cancelToken = md.cancelToken || '';
+  const piId = typeof session.payment_intent === 'string' ? session.payment_intent : session.payment_intent?.id || '';
+  const pi = piId ? await stripe.paymentIntents.retrieve(piId) : null;
+  const mapping = getBookingMapping_(session.id);
+  const stay = currentStayForSession_(session);
 
-    // ✅ manual capture 以外は不可
-    if (captureMethod !== 'manual') {
-      return res.status(403).send('この予約はキャンセルリンク対象ではありません。');
+  let beds24 = null;
+  let beds24Error = '';
+  const bookingId = lookupMappedBeds24BookingId_(session.id);
+  if (bookingId) {
+    try {
+      const row = await beds24GetBookingById_(bookingId);
+      beds24 = row ? { id: bookingId, status: row.status || '' } : { id: bookingId, status: 'not_found' };
+    } catch (e) {
+      beds24Error = String(e.message || e);
+      beds24 = { id: bookingId, status: '' };
+      console.error(`⚠️ Booking status: Beds24 lookup failed for ${bookingId}:`, beds24Error);
     }
+  }
 
-    // ✅ token照合
-    if (!cancelToken || token !== cancelToken) {
-      return res.status(403).send('キャンセルトークンが一致しません。');
-    }
+  const konbini = pi?.next_action?.konbini_display_details || null;
 
-    // ✅ 期限チェック（cancelUntilEpoch 優先）
-    const cancelUntilEpoch = md.cancelUntilEpoch ? Number(md.cancelUntilEpoch) : NaN;
-    const cancelUntilText = md.cancelUntil || '';
+  return {
+    ok: true,
+    booking: {
+      sessionId: session.id,
+      lang: normalizeLang_(md.lang) || DEFAULT_LANG,
+      checkin: stay.checkin,
+      checkout: stay.checkout,
+      nights: stay.checkin && stay.checkout ? countNights_(stay.checkin, stay.checkout) : 0,
+      guests: {
+        adults: Number(md.adults || 0),
+        child11: Number(md.child11 || 0),
+        child6: Number(md.child6 || 0),
+        child3: Number(md.child3 || 0),
+      },
+      amount: stay.amount,
+      currency: 'jpy',
+      paymentMethod: sessionPaymentMethod_(session),
+      paymentState: resolveBookingPaymentState_(session, pi, mapping),
+      konbiniVoucherUrl: konbini?.hosted_voucher_url || '',
+      konbiniExpiresAt: konbini?.expires_at ? new Date(konbini.expires_at * 1000).toISOString() : '',
+      cancelUntil: md.captureMethod === 'manual' ? md.cancelUntil || '' : '',
+      beds24BookingId: beds24?.id || '',
+      beds24Status: beds24?.status || '',
+      beds24Error: beds24Error ? 'unavailable' : '',
+      stayChanged: Boolean(mapping?.stayChangedAt),
+    },
+  };
+}
 
-    if (Number.isFinite(cancelUntilEpoch) && Date.now() > cancelUntilEpoch) {
-      return res.status(410).send('キャンセル可能期限を過ぎています。');
-    }
+// paymentState → MESSAGES のキー（PAYMENT_STATE_AWAITING_KONBINI など）
+function paymentStateLabel_(lang, state) {
+  return t_(lang, `PAYMENT_STATE_${state.toUpperCase()}`);
+}
 
-    // ✅ すでに確定/キャンセル済みの場合のガード
-    const piId = session.payment_intent;
-    if (!piId) return res.status(400).send('決済情報（PaymentIntent）が見つかりませんでした。');
+function describeGuests_(lang, guests) {
+  return [
+    t_(lang, 'GUESTS_ADULTS', { count: guests.adults }),
+    guests.child11 ? t_(lang, 'GUESTS_CHILD11', { count: guests.child11 }) : '',
+    guests.child6 ? t_(lang, 'GUESTS_CHILD6', { count: guests.child6 }) : '',
+    guests.child3 ? t_(lang, 'GUESTS_CHILD3', { count: guests.child3 }) : '',
+  ].filter(Boolean).join(t_(lang, 'GUESTS_SEPARATOR'));
+}
 
-    const pi = await stripe.paymentIntents.retrieve(piId);
-    if (pi.status === 'succeeded') {
-      return res.status(409).send('この予約は既に確定（支払い完了）しているためキャンセルできません。');
-    }
-    if (pi.status === 'canceled') {
-      return res.status(200).send('この予約はすでにキャンセル済みです。');
-    }
+// ✅ 予約状況 API（JSON）
+app.get('/api/booking', async (req, res) => {
+  try {
+    const result = await loadBookingStatus_(String(req.query.session_id || ''), String(req.query.token || ''));
+    if (!result.ok) return res.status(result.status).json({ code: result.code, error: t_(resolveLang_(req), result.code) });
 
-    // 予約内容（表示用）
-    const checkin = md.checkin || '';
-    const checkout = md.checkout || '';
+    const lang = resolveLang_(req, result.booking);
+    res.set('Cache-Control', 'no-store');
+    return res.json({
+      ok: true,
+      booking: { ...result.booking, paymentStateLabel: paymentStateLabel_(lang, result.booking.paymentState) },
+    });
+  } catch (e) {
+    console.error('❌ Booking status API error:', e);
+    return res.status(500).json({ error: t_(resolveLang_(req), 'BOOKING_LOAD_FAILED') });
+  }
+});
 
-    // ✅ 確認ページ（POSTで確定）
-    return res.status(200).send(`
-      <html>
-        <head>
-          <meta charset="utf-8" />
-          <meta name="viewport" content="width=device-width, initial-scale=1" />
-          <title>キャンセル確認</title>
-        </head>
-        <body style="font-family: sans-serif; max-width: 720px; margin: 40px auto; padding: 0 16px;">
-          <h2>キャンセル確認</h2>
-          <p>以下の仮予約をキャンセルします。よろしいですか？</p>
-
-          <ul>
-            <li>チェックイン：${checkin}</li>
-            <li>チェックアウト：${checkout}</li>
-            ${cancelUntilText ? `<li>キャンセル期限：${cancelUntilText}</li>` : ``}
-          </ul>
-
-          <form method="POST" action="/cancel/confirm">
-            <input type="hidden" name="session_id" value="${sessionId.replace(/"/g, '&quot;')}" />
-            <input type="hidden" name="token" value="${token.replace(/"/g, '&quot;')}" />
-            <button type="submit" style="padding: 12px 16px; font-size: 16px;">
-              この予約をキャンセルする
-            </button>
-          </form>
-
-          <p style="margin-top: 18px; color:#666;">
-            ※ボタンを押すとキャンセル処理が実行されます。
-          </p>
-        </body>
-      </html>
-    `);
+// ✅ 予約状況ページ
+app.get('/booking', async (req, res) => {
+  try {
+    const result = await loadBookingStatus_(String(req.query.session_id || ''), String(req.query.token || ''));
+    if (!result.ok) return res.status(result.status).send(t_(resolveLang_(req), result.code));
+
+    const b = result.booking;
+    const lang = resolveLang_(req, b);
+    const konbiniDeadline = b.konbiniExpiresAt ? formatJstDateTimeForLang_(new Date(b.konbiniExpiresAt), lang) : '';
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).send(renderGuestPage_(lang, t_(lang, 'BOOKING_TITLE'), html_`
+      <h2>${t_(lang, 'BOOKING_TITLE')}</h2>
+      <ul>
+        ${labelledItem_(lang, 'CHECKIN', b.checkin)}
+        ${labelledItem_(lang, 'CHECKOUT', `${b.checkout}${t_(lang, 'BOOKING_NIGHTS', { nights: b.nights })}`)}
+        ${labelledItem_(lang, 'BOOKING_GUESTS', describeGuests_(lang, b.guests))}
+        ${labelledItem_(lang, 'BOOKING_AMOUNT', formatYen_(b.amount))}
+        ${labelledItem_(lang, 'BOOKING_PAYMENT_STATE', paymentStateLabel_(lang, b.paymentState))}
+        ${b.cancelUntil && b.paymentState === 'authorized' && labelledItem_(lang, 'FREE_CANCEL_UNTIL', b.cancelUntil)}
+        ${b.beds24BookingId && labelledItem_(lang, 'BOOKING_REFERENCE', b.beds24BookingId)}
+      </ul>
+
+      ${b.paymentState === 'awaiting_konbini' && b.konbiniVoucherUrl && html_`
+        <p>
+          <a href="${b.konbiniVoucherUrl}" target="_blank" rel="noopener">${t_(lang, 'KONBINI_VOUCHER_LINK')}</a>
+          ${konbiniDeadline && html_`<br />${t_(lang, 'KONBINI_DEADLINE')}${t_(lang, 'LABEL_SEPARATOR')}${konbiniDeadline}`}
+        </p>
+      `}
+
+      ${(b.paymentState === 'pending' || b.paymentState === 'processing') && html_`
+        <p style="color:#666;">${t_(lang, 'BOOKING_PENDING_NOTE')}</p>
+      `}
+    `));
   } catch (e) {
-    console.error('❌ Cancel confirm page error:', e);
-    return res.status(500).send('キャンセル画面の表示に失敗しました。');
+    console.error('❌ Booking status page error:', e);
+    return res.status(500).send(t_(resolveLang_(req), 'BOOKING_PAGE_FAILED'));
   }
 });
 
-// ✅ キャンセル実行（ここで初めてStripe cancel）
-app.post('/cancel/confirm', async (req, res) => {
+// ✅ 料金見積（署名付き・短時間有効）
+app.post('/quote', async (req, res) => {
   try {
-    const sessionId = String(req.body.session_id || '');
-    const token = String(req.body.token || '');
+    const src = { ...(req.body.metadata || {}), ...req.body };
+    const result = await buildStayQuote_(src);
 
-    if (!sessionId || !token) {
-      return res.status(400).send('必要な情報が不足しています。');
+    if (!result.ok) {
+      const lang = resolveLang_(req, req.body.metadata);
+      return res.status(400).json({ code: result.code, error: t_(lang, result.code, result.params), params: result.params });
     }
 
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
-    if (!session) {
-      return res.status(404).send('予約情報が見つかりませんでした。');
+    const quote = result.quote;
+
+    return res.json({
+      quoteToken: signQuote_(quote),
+      quoteId: quote.qid,
+      checkin: quote.checkin,
+      checkout: quote.checkout,
+      nights: quote.nights,
+      adults: quote.adults,
+      child11: quote.child11,
+      child6: quote.child6,
+      child3: quote.child3,
+      currency: quote.currency,
+      amount: quote.amount,
+      nightly: quote.nightly,
+      expiresAt: new Date(quote.exp).toISOString(),
+    });
+  } catch (error) {
+    console.error('Error building quote:', error);
+    if (isBeds24Unavailable_(error)) {
+      return res.status(503).json({ code: 'BEDS24_UNAVAILABLE', error: t_(resolveLang_(req, req.body.metadata), 'BEDS24_UNAVAILABLE') });
     }
+    return res.status(500).json({ error: error.message });
+  }
+});
 
-    const md = session.metadata || {};
+// ===== 空室カレンダーAPI（公開・キャッシュ付き） =====
+// 予約ページからの頻繁な参照で Beds24 のAPIクレジットを消費しないよう、結果をメモリに保持する
+// - Beds24 へは月単位の窓（from の月初〜to の月末）で問い合わせ、応答は要求範囲に切り出す
+//   （日付をずらした問い合わせでキャッシュを素通りさせない）
+const AVAILABILITY_CACHE_TTL_MS = Number(process.env.AVAILABILITY_CACHE_TTL_SECONDS || 300) * 1000;
+const AVAILABILITY_CACHE_MAX_ENTRIES = Number(process.env.AVAILABILITY_CACHE_MAX_ENTRIES || 100);
+const AVAILABILITY_MAX_DAYS = Number(process.env.AVAILABILITY_MAX_DAYS || 366);
+const AVAILABILITY_RATE_LIMIT_PER_IP = Number(process.env.AVAILABILITY_RATE_LIMIT_PER_IP || 60);
+const AVAILABILITY_RATE_WINDOW_SECONDS = Number(process.env.AVAILABILITY_RATE_WINDOW_SECONDS || 60);
+
+// key: `${windowFrom}|${windowTo}` → { expiresAt, promise }
+const availabilityCache = new Map();
+
+const availabilityRateLimiter = createRateLimiter_({
+  limit: AVAILABILITY_RATE_LIMIT_PER_IP,
+  windowMs: AVAILABILITY_RATE_WINDOW_SECONDS * 1000,
+});
 
-    if (md.captureMethod !== 'manual') {
-      return res.status(403).send('この予約はキャンセルリンク対象ではありません。');
-    }
+function invalidateAvailabilityCache_(reason) {
+  if (!availabilityCache.size) return;
+  availabilityCache.clear();
+  console.log(`🧊 Availability cache invalidated (${reason})`);
+}
+
+function toNightStatus_(override, booked, numAvail) {
+  if (booked) return 'booked';
+
+  switch (String(override || '').toLowerCase()) {
+    case 'blackout':
+      return 'blackout';
+    case 'nocheckinorcheckout':
+      return 'no_check_in_out';
+    case 'nocheckin':
+      return 'no_check_in';
+    case 'nocheckout':
+      return 'no_check_out';
+    default:
+      break;
+  }
+
+  if (numAvail !== undefined && numAvail !== null && Number(numAvail) <= 0) return 'blackout';
+  return 'available';
+}
+
+/**
+ * from〜to（両端含む）の日別ステータスを組み立てる
+ * - カレンダー（料金・minStay・override）と予約一覧を突き合わせる
+ * - 予約者情報は返さない
+ */
+async function buildAvailabilityCalendar_(from, to) {
+  const [calendar, bookings] = await Promise.all([
+    beds24GetCalendar_(from, to),
+    beds24ListBookingsInWindow_(from, addDaysYmd_(to, 1)),
+  ]);
+
+  const calendarNights = expandBeds24CalendarNights_(calendar.rows);
+  const activeBookings = bookings.rows
+    .filter(isActiveBeds24Booking_)
+    .map((row) => ({
+      arrival: String(row.arrival || '').slice(0, 10),
+      departure: String(row.departure || '').slice(0, 10),
+    }))
+    .filter((b) => b.arrival && b.departure);
+
+  const nights = [];
+  for (let d = from; d <= to; d = addDaysYmd_(d, 1)) {
+    const row = calendarNights.get(d) || {};
+    const override = row.override || '';
+    const booked = activeBookings.some((b) => b.arrival <= d && d < b.departure);
+    const status = toNightStatus_(override, booked, row.numAvail);
+    const price = beds24NightlyRate_(row);
+
+    nights.push({
+      date: d,
+      status,
+      checkInAllowed: status === 'available' || status === 'no_check_out',
+      checkOutAllowed: !['nocheckout', 'nocheckinorcheckout'].includes(String(override).toLowerCase()),
+      minStay: row.minStay ? Number(row.minStay) : null,
+      price: Number.isFinite(price) ? price : null,
+    });
+  }
+
+  return { from, to, generatedAt: new Date().toISOString(), nights };
+}
+
+// from の月初〜to の月末
+function availabilityWindow_(from, to) {
+  const [year, month] = to.split('-').map(Number);
+  const nextMonth = month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+  return { from: `${from.slice(0, 7)}-01`, to: addDaysYmd_(nextMonth, -1) };
+}
+
+// 期限切れを捨て、それでも上限なら古いものから捨てる（Map は挿入順）
+function pruneAvailabilityCache_() {
+  const now = Date.now();
+  availabilityCache.forEach((entry, key) => {
+    if (entry.expiresAt <= now) availabilityCache.delete(key);
+  });
+
+  while (availabilityCache.size >= AVAILABILITY_CACHE_MAX_ENTRIES) {
+    availabilityCache.delete(availabilityCache.keys().next().value);
+  }
+}
+
+async function getAvailabilityCached_(from, to) {
+  const range = availabilityWindow_(from, to);
+  const key = `${range.from}|${range.to}`;
+  const hit = availabilityCache.get(key);
+  const slice = (calendar, cached) => ({
+    ...calendar,
+    from,
+    to,
+    nights: calendar.nights.filter((night) => night.date >= from && night.date <= to),
+    cached,
+  });
+
+  if (hit && hit.expiresAt > Date.now()) return slice(await hit.promise, true);
+
+  // 同時アクセスは同じ取得を待たせる（失敗時はキャッシュしない）
+  pruneAvailabilityCache_();
+  const promise = buildAvailabilityCalendar_(range.from, range.to);
+  availabilityCache.set(key, { expiresAt: Date.now() + AVAILABILITY_CACHE_TTL_MS, promise });
+
+  try {
+    return slice(await promise, false);
+  } catch (e) {
+    if (availabilityCache.get(key)?.promise === promise) availabilityCache.delete(key);
+    throw e;
+  }
+}
 
-    if (!md.cancelToken || token !== md.cancelToken) {
-      return res.status(403).send('キャンセルトークンが一致しません。');
+// ✅ 空室カレンダー
+app.get('/availability', async (req, res) => {
+  const ip = clientIp_(req);
+  const limited = availabilityRateLimiter.hit(ip);
+  if (!limited.ok) {
+    console.warn(`⛔ Availability rate limited by IP: ${ip}`);
+    return rateLimitedResponse_(req, res, limited, 'ip');
+  }
+
+  try {
+    const from = String(req.query.from || '');
+    const to = String(req.query.to || '');
+    const lang = resolveLang_(req);
+
+    if (!isValidYmd_(from) || !isValidYmd_(to) || to < from) {
+      return res.status(400).json({
+        code: 'INVALID_RANGE',
+        error: t_(lang, 'INVALID_RANGE'),
+      });
     }
 
-    // ✅ 期限チェック
-    const cancelUntilEpoch = md.cancelUntilEpoch ? Number(md.cancelUntilEpoch) : NaN;
-    if (Number.isFinite(cancelUntilEpoch) && Date.now() > cancelUntilEpoch) {
-      return res.status(410).send('キャンセル可能期限を過ぎています。');
+    if (countNights_(from, to) + 1 > AVAILABILITY_MAX_DAYS) {
+      const params = { maxDays: AVAILABILITY_MAX_DAYS };
+      return res.status(400).json({
+        code: 'RANGE_TOO_LONG',
+        error: t_(lang, 'RANGE_TOO_LONG', params),
+        params,
+      });
     }
 
-    const piId = session.payment_intent;
-    if (!piId) {
-      return res.status(400).send('決済情報（PaymentIntent）が見つかりませんでした。');
+    return res.json(await getAvailabilityCached_(from, to));
+  } catch (e) {
+    console.error('❌ Availability error:', e);
+    if (isBeds24Unavailable_(e)) {
+      return res.status(503).json({ code: 'BEDS24_UNAVAILABLE', error: t_(resolveLang_(req), 'BEDS24_UNAVAILABLE') });
     }
+    return res.status(500).json({ error: String(e.message || e) });
+  }
+});
 
-    const pi = await stripe.paymentIntents.retrieve(piId);
+// ===== Checkout 作成の濫用対策（レート制限・CAPTCHA） =====
+// Beds24 への問い合わせ・Stripe セッション作成の前に弾く
+const CHECKOUT_RATE_WINDOW_SECONDS = Number(process.env.CHECKOUT_RATE_WINDOW_SECONDS || 600);
+const CHECKOUT_RATE_LIMIT_PER_IP = Number(process.env.CHECKOUT_RATE_LIMIT_PER_IP || 10);
+const CHECKOUT_RATE_LIMIT_PER_EMAIL = Number(process.env.CHECKOUT_RATE_LIMIT_PER_EMAIL || 5);
+
+// CAPTCHA_PROVIDER: 空=無効 / 'turnstile' / 'hcaptcha' / 'stub'（ローカル用: CAPTCHA_STUB_TOKEN と一致すれば通す。live では使えない）
+const CAPTCHA_PROVIDER = String(process.env.CAPTCHA_PROVIDER || '').toLowerCase();
+const CAPTCHA_SECRET_KEY = process.env.CAPTCHA_SECRET_KEY || '';
+const CAPTCHA_STUB_TOKEN = process.env.CAPTCHA_STUB_TOKEN || '';
+const CAPTCHA_TIMEOUT_MS = Number(process.env.CAPTCHA_TIMEOUT_MS || 5000);
+
+const checkoutIpRateLimiter = createRateLimiter_({
+  limit: CHECKOUT_RATE_LIMIT_PER_IP,
+  windowMs: CHECKOUT_RATE_WINDOW_SECONDS * 1000,
+});
+const checkoutEmailRateLimiter = createRateLimiter_({
+  limit: CHECKOUT_RATE_LIMIT_PER_EMAIL,
+  windowMs: CHECKOUT_RATE_WINDOW_SECONDS * 1000,
+});
 
-    if (pi.status === 'succeeded') {
-      return res.status(409).send('この予約は既に確定（支払い完了）しているためキャンセルできません。');
-    }
+// siteverify 形式（secret / response / remoteip を form で送り { success, error-codes } が返る）
+function createSiteverifyCaptchaVerifier_(name, url) {
+  return {
+    name,
+    async verify(token, remoteIp) {
+      const r = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ secret: CAPTCHA_SECRET_KEY, response: token, remoteip: remoteIp }),
+        signal: AbortSignal.timeout(CAPTCHA_TIMEOUT_MS),
+      });
 
-    if (pi.status === 'canceled') {
-      return res.status(200).send('この予約はすでにキャンセル済みです。');
-    }
+      if (!r.ok) throw new Error(`${name} siteverify failed: ${r.status}`);
 
-    // =========================
-    // 1) Stripeキャンセル（最優先）
-    // =========================
-    let canceled = null;
-    try {
-      canceled = await stripe.paymentIntents.cancel(piId);
-      console.log(`✅ Stripe payment canceled: ${piId}`);
-    } catch (e) {
-      console.error('❌ Stripe cancel failed:', e);
-      return res.status(500).send('Stripeのキャンセル処理に失敗しました。お手数ですがご連絡ください。');
-    }
+      const json = await r.json();
+      return { ok: json.success === true, codes: json['error-codes'] || [] };
+    },
+  };
+}
 
-    // =========================
-    // 2) Beds24キャンセル（失敗しても全体は成功扱い）
-    // =========================
-    let beds24Canceled = null;
-    let beds24CancelError = '';
+/**
+ * CAPTCHA 検証器
+ * - verify(token, remoteIp) → { ok, codes }（通信失敗は throw）
+ * - 無効時は null
+ */
+function createCaptchaVerifier_(provider) {
+  switch (provider) {
+    case '':
+      return null;
+    case 'turnstile':
+      return createSiteverifyCaptchaVerifier_('turnstile', 'https://challenges.cloudflare.com/turnstile/v0/siteverify');
+    case 'hcaptcha':
+      return createSiteverifyCaptchaVerifier_('hcaptcha', 'https://hcaptcha.com/siteverify');
+    case 'stub':
+      if (mode === 'live') throw new Error('CAPTCHA_PROVIDER=stub is not allowed in live mode');
+      if (!CAPTCHA_STUB_TOKEN) throw new Error('CAPTCHA_PROVIDER=stub requires CAPTCHA_STUB_TOKEN');
+      return {
+        name: 'stub',
+        async verify(token) {
+          return { ok: token === CAPTCHA_STUB_TOKEN, codes: token === CAPTCHA_STUB_TOKEN ? [] : ['stub-mismatch'] };
+        },
+      };
+    default:
+      throw new Error(`Unknown CAPTCHA_PROVIDER: ${provider}`);
+  }
+}
 
-    try {
-      beds24Canceled = await beds24CancelBookingBySessionId(
-        session.id,
-        md.checkin || undefined,
-        md.checkout || undefined
-      );
+const captchaVerifier = createCaptchaVerifier_(CAPTCHA_PROVIDER);
 
-      console.log(
-        '🗑️ Beds24 booking canceled from /cancel/confirm:',
-        JSON.stringify(beds24Canceled).slice(0, 1000)
-      );
+function rateLimitedResponse_(req, res, limited, scope) {
+  res.set('Retry-After', String(limited.retryAfterSec));
+  return res.status(429).json({
+    code: 'RATE_LIMITED',
+    error: t_(resolveLang_(req, req.body?.metadata), 'RATE_LIMITED'),
+    params: { scope, retryAfterSec: limited.retryAfterSec },
+  });
+}
 
-      try {
-        const clearedStayRules = await beds24ClearStayRules_(
-          md.checkin || '',
-          md.checkout || ''
-        );
+async function guardCheckoutRequest_(req, res, next) {
+  const ip = clientIp_(req);
 
-        console.log(
-          '🧹 Beds24 stay rules clear result from /cancel/confirm:',
-          JSON.stringify(clearedStayRules).slice(0, 1000)
-        );
-      } catch (clearErr) {
-        console.error(
-          '⚠️ Failed to clear stay rules after /cancel/confirm:',
-          clearErr.message
-        );
-      }
+  const byIp = checkoutIpRateLimiter.hit(ip);
+  if (!byIp.ok) {
+    console.warn(`⛔ Checkout rate limited by IP: ${ip}`);
+    return rateLimitedResponse_(req, res, byIp, 'ip');
+  }
 
-    } catch (e) {
-      beds24CancelError = String(e.message || e);
-      console.error(
-        '⚠️ Beds24 cancel failed, but Stripe cancel already succeeded:',
-        beds24CancelError
-      );
+  const email = String(req.body?.email || req.body?.metadata?.email || '').trim().toLowerCase();
+  if (email) {
+    const byEmail = checkoutEmailRateLimiter.hit(email);
+    if (!byEmail.ok) {
+      console.warn(`⛔ Checkout rate limited by email: ${email}`);
+      return rateLimitedResponse_(req, res, byEmail, 'email');
     }
+  }
 
-    // =========================
-    // 3) GAS通知（失敗しても全体は成功扱い）
-    // =========================
-    try {
-      await forwardEventToGas({
-        type: 'manual_capture_canceled',
-        data: { object: session },
-        payment_status: 'キャンセル',
-        payment_method: 'card',
-        payment_intent: piId,
-        cancel_reason: canceled?.cancellation_reason || '',
-        beds24_cancel: beds24Canceled || null,
-        beds24_cancel_error: beds24CancelError || '',
-      });
+  if (!captchaVerifier) return next();
 
-      console.log('✅ manual_capture_canceled forwarded to GAS');
-    } catch (e) {
-      console.error('⚠️ GAS forward failed after Stripe cancel:', e);
-    }
+  const lang = resolveLang_(req, req.body?.metadata);
 
-    // =========================
-    // 4) ユーザー返却
-    // =========================
-    if (beds24CancelError) {
-      return res.status(200).send(
-        'キャンセルは完了しました。なお、外部在庫連携の更新に時間がかかる場合があります。'
-      );
-    }
+  const token = String(
+    req.body?.captchaToken || req.body?.['cf-turnstile-response'] || req.body?.['h-captcha-response'] || ''
+  );
 
-    return res.status(200).send('キャンセルが完了しました。ご利用ありがとうございました。');
+  if (!token) {
+    return res.status(400).json({
+      code: 'CAPTCHA_REQUIRED',
+      error: t_(lang, 'CAPTCHA_REQUIRED'),
+    });
+  }
 
+  try {
+    const result = await captchaVerifier.verify(token, ip);
+    if (!result.ok) {
+      console.warn(`⛔ CAPTCHA (${captchaVerifier.name}) rejected from ${ip}:`, result.codes.join(','));
+      return res.status(403).json({
+        code: 'CAPTCHA_FAILED',
+        error: t_(lang, 'CAPTCHA_FAILED'),
+        params: { codes: result.codes },
+      });
+    }
   } catch (e) {
-    console.error('❌ Cancel execute error:', e);
-    return res.status(500).send('キャンセル処理に失敗しました。お手数ですがご連絡ください。');
+    console.error(`❌ CAPTCHA (${captchaVerifier.name}) verification error:`, e.message);
+    return res.status(503).json({
+      code: 'CAPTCHA_UNAVAILABLE',
+      error: t_(lang, 'CAPTCHA_UNAVAILABLE'),
+    });
   }
-});
+
+  return next();
+}
+
+// Checkout Session の metadata のうちサーバだけが値を決めるもの
+// （日程変更の追加決済・個別決済リンク・トークン・料金・キャンセル期限など）
+const SERVER_OWNED_METADATA_KEYS = [
+  'kind', 'parentSessionId', 'difference',
+  'baseCheckin', 'baseCheckout', 'baseAmount', 'newCheckin', 'newCheckout', 'newAmount',
+  'createdBy', 'createdByAdmin',
+  'holdId', 'availabilityUnchecked', 'quoteId', 'total',
+  'cancelToken', 'modifyToken', 'viewToken',
+  'cancelUntil', 'cancelUntilEpoch', 'captureMethod',
+];
 
 // ✅ Checkout セッション作成
-app.post('/create-checkout-session', async (req, res) => {
+app.post('/create-checkout-session', guardCheckoutRequest_, async (req, res) => {
   try {
     const { amount, email } = req.body;
 
@@ -1273,41 +5338,86 @@ app.post('/create-checkout-session', async (req, res) => {
     const payMethod = (req.body.payMethod || 'card').toString(); // 'card' or 'konbini'
 
     // ✅ metadata（metadata[xxx] を express が metadata オブジェクトにしてくれる）
-    const metadata = req.body.metadata || {};
+    //    サーバが付ける・判定に使うキーはクライアントの値を捨てる
+    const metadata = { ...(req.body.metadata || {}) };
+    SERVER_OWNED_METADATA_KEYS.forEach((key) => delete metadata[key]);
     const checkin = metadata.checkin;
 
-    const now = nowJST();
+    // ✅ エラー文言・Stripe 画面・GAS メールの言語
+    const lang = resolveLang_(req, metadata);
+
+    // ✅ 予約受付ルール（売り止め・リードタイム・泊数など）
+    const rules = evaluateBookingRules_(checkin, metadata.checkout);
+    if (!rules.ok) {
+      return res.status(400).json({ code: rules.code, error: t_(lang, rules.code, rules.params), params: rules.params });
+    }
 
-    // ✅ 明日チェックイン＋12:00以降はブロック
-    if (isTomorrowJST(checkin) && isAfterSellStop(now)) {
+    // ✅ 金額はサーバ発行の見積（quoteToken）のみ受け付ける
+    const verified = verifyQuoteToken_(req.body.quoteToken || metadata.quoteToken);
+    if (!verified.ok) {
       return res.status(400).json({
-        error: '翌日のチェックインは本日12:00以降は受付できません。',
+        code: verified.code,
+        error: t_(lang, verified.code),
       });
     }
 
-    // ✅ Beds24を正本として在庫最終チェック
+    const quote = verified.quote;
     const checkout = metadata.checkout;
-    const availability = await beds24CheckAvailability(checkin, checkout);
+    const guests = normalizeGuestCounts_({
+      adults: metadata.adults ?? quote.adults,
+      child11: metadata.child11 ?? quote.child11,
+      child6: metadata.child6 ?? quote.child6,
+      child3: metadata.child3 ?? quote.child3,
+    });
 
-    if (!availability.ok) {
-      console.warn('⚠️ Availability changed before checkout session creation:', availability);
+    const quoteMatches =
+      quote.checkin === checkin &&
+      quote.checkout === checkout &&
+      ['adults', 'child11', 'child6', 'child3'].every((k) => guests[k] === quote[k]);
 
-      return res.status(409).json({
-        code: 'AVAILABILITY_CHANGED',
-        error: '他サイトから予約が入ったため、この日程は現在選択できません。最新の空室状況を反映するため、カレンダーを再読み込みしてから再度ご確認ください。'
+    if (!quoteMatches) {
+      return res.status(400).json({
+        code: 'QUOTE_MISMATCH',
+        error: t_(lang, 'QUOTE_MISMATCH'),
       });
     }
 
-    if (!amount || isNaN(amount)) {
-      return res.status(400).json({ error: 'Invalid amount' });
+    if (amount !== undefined && amount !== '' && Number(amount) !== quote.amount) {
+      console.warn(`⚠️ Amount mismatch: client=${amount} quote=${quote.amount} (qid=${quote.qid})`);
+      return res.status(400).json({
+        code: 'AMOUNT_MISMATCH',
+        error: t_(lang, 'AMOUNT_MISMATCH'),
+      });
+    }
+
+    // ✅ Beds24を正本として在庫最終チェック（Beds24停止時は BEDS24_DEGRADED_POLICY に従う）
+    // チェックと仮押さえは直列化し、同時に2つのセッションが同じ日程を通らないようにする
+    const expiresAt = Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_TTL_MINUTES * 60;
+
+    const inventory = await checkAndHoldInventory_(checkin, checkout, expiresAt, 'checkout', {
+      allowFailOpen: BEDS24_DEGRADED_POLICY === 'fail_open',
+    });
+
+    if (!inventory.ok) {
+      return res.status(inventory.status).json({ code: inventory.code, error: t_(lang, inventory.code) });
     }
 
+    metadata.holdId = inventory.holdId;
+    if (inventory.availabilityUnchecked) metadata.availabilityUnchecked = '1';
+
     // ✅ GAS整合性のため：サーバで確実にmetadataへ格納
+    delete metadata.quoteToken;
     metadata.email = metadata.email || req.body.email || '';
     metadata.phone = metadata.phone || req.body.phone || req.body.tel || '';
-    metadata.total = metadata.total || req.body.amount || '';
+    metadata.adults = String(quote.adults);
+    metadata.child11 = String(quote.child11);
+    metadata.child6 = String(quote.child6);
+    metadata.child3 = String(quote.child3);
+    metadata.total = String(quote.amount);
+    metadata.quoteId = quote.qid;
     metadata.detail = metadata.detail || '';
     metadata.payMethod = metadata.payMethod || payMethod;
+    metadata.lang = lang;
 
     // ✅ 支払い方法を絞る
     let payment_method_types;
@@ -1319,10 +5429,13 @@ app.post('/create-checkout-session', async (req, res) => {
     const shouldManualCapture =
       payment_method_types.includes('card') && isAtLeast48HoursBeforeCheckinJST(checkin);
 
-    // ✅ manual capture のときだけ「キャンセル用トークン」と「期限」を metadata に付与
-    if (shouldManualCapture) {
-      const cancelToken = crypto.randomBytes(16).toString('hex'); // 32文字
+    // ✅ キャンセル用トークンは全予約に付与（ポリシーに沿ったセルフキャンセル用）
+    metadata.cancelToken = crypto.randomBytes(16).toString('hex'); // 32文字
+    metadata.modifyToken = crypto.randomBytes(16).toString('hex'); // 日程変更用
+    metadata.viewToken = crypto.randomBytes(16).toString('hex'); // 予約状況ページ用
 
+    // ✅ manual capture のときだけ「無料キャンセル期限」を metadata に付与
+    if (shouldManualCapture) {
       // 48時間後（ms）
       const cancelUntilEpoch = Date.now() + 48 * 60 * 60 * 1000;
 
@@ -1336,40 +5449,47 @@ app.post('/create-checkout-session', async (req, res) => {
         minute: '2-digit'
       });
 
-      metadata.cancelToken = cancelToken;
       metadata.cancelUntil = cancelUntilJstText;          // ✅ GAS表示用（文字列）
       metadata.cancelUntilEpoch = String(cancelUntilEpoch); // ✅ サーバ判定用（文字列でOK）
       metadata.captureMethod = 'manual';
     } else {
-      // manual capture じゃない場合はキャンセルリンク対象外
-      delete metadata.cancelToken;
       delete metadata.cancelUntil;
       delete metadata.cancelUntilEpoch;
       metadata.captureMethod = 'automatic';
     }
 
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types,
-
-      // manual capture を使う場合だけ payment_intent_data を付ける
-      ...(shouldManualCapture ? { payment_intent_data: { capture_method: 'manual' } } : {}),
-
-      line_items: [
-        {
-          price_data: {
-            currency: 'jpy',
-            product_data: { name: '宿泊予約' },
-            unit_amount: Number(amount),
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        payment_method_types,
+
+        // manual capture を使う場合だけ payment_intent_data を付ける
+        ...(shouldManualCapture ? { payment_intent_data: { capture_method: 'manual' } } : {}),
+
+        line_items: [
+          {
+            price_data: {
+              currency: 'jpy',
+              product_data: { name: t_(lang, 'CHECKOUT_ITEM_NAME') },
+              unit_amount: quote.amount,
+            },
+            quantity: 1,
           },
-          quantity: 1,
-        },
-      ],
-      mode: 'payment',
-      customer_email: email || undefined,
-      success_url: 'https://stay-oceanus.com/payment_success.html',
-      cancel_url: 'https://stay-oceanus.com/payment_cancel.html',
-      metadata,
-    });
+        ],
+        mode: 'payment',
+        locale: lang,
+        customer_email: email || undefined,
+        success_url: bookingSuccessUrl_(bookingSuccessBaseUrl_(req), metadata.viewToken),
+        cancel_url: checkoutCancelUrl_(req, inventory.holdId, inventory.releaseToken),
+        expires_at: expiresAt,
+        metadata,
+      });
+    } catch (e) {
+      releaseInventoryHold_({ holdId: inventory.holdId }, 'session create failed');
+      throw e;
+    }
+
+    bindInventoryHoldToSession_(inventory.holdId, session.id);
 
     return res.json({ url: session.url });
   } catch (error) {
@@ -1378,72 +5498,506 @@ app.post('/create-checkout-session', async (req, res) => {
   }
 });
 
-// ✅ カスタムセッション作成
-app.post('/create-custom-session', async (req, res) => {
+// ===== 管理API =====
+// 認証は API キー（x-admin-key / Authorization: Bearer）か HTTP Basic。どちらも設定から読む
+// - ADMIN_API_KEYS_JSON='[{"name":"ops","key":"...","role":"operator"},{"name":"viewer","key":"...","role":"readonly"}]'
+// - ADMIN_BASIC_USERS_JSON='[{"user":"staff","password":"...","role":"operator"}]'
+// - ADMIN_API_KEY（従来の単一キー）は operator 権限の "default" として扱う
+// readonly: 参照・診断のみ / operator: 再送・同期・決済リンク作成などの操作も可
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+const ADMIN_ROLE_LEVELS = { readonly: 1, operator: 2 };
+const ADMIN_AUDIT_MAX_ENTRIES = Number(process.env.ADMIN_AUDIT_MAX_ENTRIES || 5000);
+
+function parseAdminCredentials_(text, label) {
+  if (!text) return [];
+
+  const list = JSON.parse(text);
+  if (!Array.isArray(list)) throw new Error(`${label} must be a JSON array`);
+
+  list.forEach((c) => {
+    if (!ADMIN_ROLE_LEVELS[c.role]) throw new Error(`${label}: unknown role "${c.role}"`);
+  });
+  return list;
+}
+
+const ADMIN_API_KEYS = [
+  ...(ADMIN_API_KEY ? [{ name: 'default', key: ADMIN_API_KEY, role: 'operator' }] : []),
+  ...parseAdminCredentials_(process.env.ADMIN_API_KEYS_JSON, 'ADMIN_API_KEYS_JSON'),
+].filter((c) => c.key);
+
+const ADMIN_BASIC_USERS = parseAdminCredentials_(process.env.ADMIN_BASIC_USERS_JSON, 'ADMIN_BASIC_USERS_JSON')
+  .filter((c) => c.user && c.password);
+
+const adminAuditStore = createJsonFileStore_('admin-audit', () => ({ entries: [] }));
+
+function timingSafeEqualText_(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// 全件と比較する（一致した位置で処理時間が変わらないように）
+function findAdminPrincipal_(req) {
+  const authorization = String(req.headers.authorization || '');
+  let found = null;
+
+  const basic = authorization.match(/^Basic\s+(.+)$/i);
+  if (basic) {
+    const decoded = Buffer.from(basic[1], 'base64').toString('utf8');
+    const sep = decoded.indexOf(':');
+    const user = sep >= 0 ? decoded.slice(0, sep) : decoded;
+    const password = sep >= 0 ? decoded.slice(sep + 1) : '';
+
+    ADMIN_BASIC_USERS.forEach((c) => {
+      const userOk = timingSafeEqualText_(user, c.user);
+      const passwordOk = timingSafeEqualText_(password, c.password);
+      if (userOk && passwordOk && !found) found = { name: c.user, role: c.role, via: 'basic' };
+    });
+    return found;
+  }
+
+  const bearer = authorization.replace(/^Bearer\s+/i, '');
+  const given = String(req.headers['x-admin-key'] || bearer || '');
+  if (!given) return null;
+
+  ADMIN_API_KEYS.forEach((c) => {
+    if (timingSafeEqualText_(given, c.key) && !found) found = { name: c.name || 'key', role: c.role, via: 'key' };
+  });
+  return found;
+}
+
+function recordAdminAudit_(entry) {
+  const state = adminAuditStore.get();
+  state.entries.push(entry);
+  if (state.entries.length > ADMIN_AUDIT_MAX_ENTRIES) {
+    state.entries = state.entries.slice(-ADMIN_AUDIT_MAX_ENTRIES);
+  }
+  adminAuditStore.save();
+}
+
+/**
+ * 管理系ルートの認証ミドルウェア
+ * - role: 必要な権限（'readonly' | 'operator'）
+ * - 認証・権限を通ったリクエストだけ、応答時に監査ログへ記録する
+ *   （拒否分まで記録すると総当たりで監査ログが押し流されるので、拒否はサーバログのみ）
+ */
+function requireAdmin_(role = 'readonly') {
+  return (req, res, next) => {
+    const principal = findAdminPrincipal_(req);
+
+    if (!ADMIN_API_KEYS.length && !ADMIN_BASIC_USERS.length) {
+      return res.status(503).json({ ok: false, error: 'Admin credentials are not configured' });
+    }
+
+    if (!principal) {
+      console.warn(`⛔ Admin unauthorized: ${req.method} ${req.path} from ${req.ip}`);
+      if (ADMIN_BASIC_USERS.length) res.set('WWW-Authenticate', 'Basic realm="admin", charset="UTF-8"');
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+
+    if (ADMIN_ROLE_LEVELS[principal.role] < ADMIN_ROLE_LEVELS[role]) {
+      console.warn(`⛔ Admin forbidden: ${principal.name} (${principal.role}) ${req.method} ${req.path}`);
+      return res.status(403).json({ ok: false, error: `Role "${role}" required` });
+    }
+
+    res.on('finish', () => {
+      try {
+        recordAdminAudit_({
+          at: new Date().toISOString(),
+          actor: principal.name,
+          role: principal.role,
+          via: principal.via,
+          method: req.method,
+          path: req.path,
+          query: req.query,
+          status: res.statusCode,
+          ip: req.ip,
+        });
+      } catch (e) {
+        console.error('⚠️ Admin audit log write failed:', e.message);
+      }
+    });
+
+    req.admin = principal;
+    return next();
+  };
+}
+
+// ✅ 監査ログ確認（新しい順）
+app.get('/admin/audit', requireAdmin_('readonly'), (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit || 100), 1), 1000);
+  const entries = adminAuditStore.get().entries.slice(-limit).reverse();
+  res.json({ ok: true, entries });
+});
+
+// ✅ アウトボックス確認
+app.get('/admin/outbox', requireAdmin_('readonly'), (_req, res) => {
+  const { pending, deadLetter } = outboxStore.get();
+  const channels = Object.values(NOTIFY_CHANNELS).map(({ name, type }) => ({ name, type }));
+  res.json({ ok: true, channels, routes: NOTIFY_ROUTES, pending, deadLetter });
+});
+
+// ✅ アウトボックス再送（deadLetter / pending どちらも即時再送キューへ）
+app.post('/admin/outbox/:id/replay', requireAdmin_('operator'), (req, res) => {
+  const state = outboxStore.get();
+  const id = String(req.params.id);
+
+  const dead = state.deadLetter.find((m) => m.id === id);
+  const pending = state.pending.find((m) => m.id === id);
+  const message = dead || pending;
+
+  if (!message) return res.status(404).json({ ok: false, error: 'Message not found' });
+
+  if (dead) {
+    state.deadLetter = state.deadLetter.filter((m) => m.id !== id);
+    delete dead.deadAt;
+    state.pending.push(dead);
+  }
+
+  message.attempts = 0;
+  message.nextAttemptAt = Date.now();
+  outboxStore.save();
+
+  console.log(`🔁 Outbox message replay requested: ${message.type} → ${message.channel || 'gas'} id=${id}`);
+  setImmediate(() => {
+    processOutbox_().catch((e) => console.error('❌ Outbox worker error:', e.message));
+  });
+
+  return res.json({ ok: true, id });
+});
+
+// ✅ アウトボックス破棄
+app.delete('/admin/outbox/:id', requireAdmin_('operator'), (req, res) => {
+  const state = outboxStore.get();
+  const id = String(req.params.id);
+
+  const before = state.pending.length + state.deadLetter.length;
+  state.pending = state.pending.filter((m) => m.id !== id);
+  state.deadLetter = state.deadLetter.filter((m) => m.id !== id);
+
+  if (state.pending.length + state.deadLetter.length === before) {
+    return res.status(404).json({ ok: false, error: 'Message not found' });
+  }
+
+  outboxStore.save();
+  console.log(`🗑️ Outbox message discarded: id=${id}`);
+  return res.json({ ok: true, id });
+});
+
+// Beds24 フルスナップショット同期を今すぐ実行
+app.post('/admin/beds24/sync', requireAdmin_('operator'), async (_req, res) => {
   try {
-    const { comment, checkin, checkout, amount, email } = req.body;
-    const metadata = { comment, checkin, checkout, createdBy: 'custom' };
+    const result = await runBeds24Sync_({ full: true, triggers: [{ action: 'ADMIN' }] });
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error('❌ Admin Beds24 sync error:', e.message);
+    return res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
+// ===== 個別決済リンク（管理者のみ） =====
+// スタッフが日程・金額・ゲスト情報を指定して Checkout Session を発行する。
+// 通常予約と同じく在庫チェック＋仮押さえを行い、Beds24 連携に必要な metadata を揃える
+const CUSTOM_LINK_MAX_HOURS = 24; // Stripe の expires_at 上限
+const CUSTOM_LINK_DEFAULT_HOURS = Number(process.env.CUSTOM_LINK_DEFAULT_HOURS || 24);
+
+const customLinkStore = createJsonFileStore_('custom-links', () => ({ links: {} }));
+
+function getCustomLink_(sessionId) {
+  return customLinkStore.get().links[sessionId] || null;
+}
+
+function updateCustomLinkStatus_(sessionId, status, fields = {}) {
+  const link = getCustomLink_(sessionId);
+  if (!link) return null;
+
+  Object.assign(link, fields, { status, updatedAt: Date.now() });
+  customLinkStore.save();
+  return link;
+}
+
+// 期限を過ぎた open は expired として見せる（webhook 未着でも一覧が正しくなるように）
+function effectiveCustomLinkStatus_(link) {
+  return link.status === 'open' && link.expiresAt <= Date.now() ? 'expired' : link.status;
+}
+
+function normalizeCustomLinkInput_(body) {
+  const checkin = String(body.checkin || '');
+  const checkout = String(body.checkout || '');
+  const amount = Number(body.amount);
+  const email = String(body.email || '').trim();
+  const expiresInHours = Number(body.expiresInHours || CUSTOM_LINK_DEFAULT_HOURS);
+  const payMethod = String(body.payMethod || 'card');
+  const guests = normalizeGuestCounts_({
+    adults: body.adults ?? QUOTE_BASE_ADULTS,
+    child11: body.child11,
+    child6: body.child6,
+    child3: body.child3,
+  });
+
+  const fail = (code, error) => ({ ok: false, code, error });
+
+  if (!isValidYmd_(checkin) || !isValidYmd_(checkout) || checkout <= checkin) {
+    return fail('INVALID_DATES', 'checkin / checkout が不正です。');
+  }
+  if (checkin < formatYmdJst_(nowJST())) return fail('CHECKIN_IN_PAST', '過去の日付は指定できません。');
+  if (!Number.isInteger(amount) || amount <= 0) return fail('INVALID_AMOUNT', 'amount は正の整数（円）で指定してください。');
+  if (!email) return fail('EMAIL_REQUIRED', 'email は必須です。');
+  if (!['card', 'konbini', 'both'].includes(payMethod)) return fail('INVALID_PAY_METHOD', 'payMethod は card / konbini / both です。');
+  if (![guests.adults, guests.child11, guests.child6, guests.child3].every(Number.isInteger) || guests.adults < 1) {
+    return fail('INVALID_GUESTS', '人数が不正です。');
+  }
+  if (!(expiresInHours >= 0.5 && expiresInHours <= CUSTOM_LINK_MAX_HOURS)) {
+    return fail('INVALID_EXPIRY', `expiresInHours は 0.5〜${CUSTOM_LINK_MAX_HOURS} で指定してください。`);
+  }
+
+  return {
+    ok: true,
+    input: {
+      checkin,
+      checkout,
+      amount,
+      email,
+      phone: String(body.phone || ''),
+      firstName: String(body.firstName || ''),
+      lastName: String(body.lastName || ''),
+      comment: String(body.comment || ''),
+      discountReason: String(body.discountReason || ''),
+      payMethod,
+      expiresInHours,
+      lang: normalizeLang_(body.lang) || DEFAULT_LANG,
+      ...guests,
+    },
+  };
+}
 
-    const session = await stripe.checkout.sessions.create({
+/**
+ * 個別決済リンクを発行する
+ * - 返り値: { ok: true, link } / { ok: false, status, code, error }
+ */
+async function createCustomPaymentLink_(req, body, admin) {
+  const normalized = normalizeCustomLinkInput_(body);
+  if (!normalized.ok) return { status: 400, ...normalized };
+
+  const input = normalized.input;
+  const expiresAt = Math.floor(Date.now() / 1000) + Math.round(input.expiresInHours * 60 * 60);
+
+  // 管理者発行でも Beds24 停止中は発行しない（在庫を確認できないため）
+  const inventory = await checkAndHoldInventory_(input.checkin, input.checkout, expiresAt, 'custom_link');
+  if (!inventory.ok) return inventory;
+
+  const metadata = {
+    checkin: input.checkin,
+    checkout: input.checkout,
+    email: input.email,
+    phone: input.phone,
+    firstName: input.firstName,
+    lastName: input.lastName,
+    adults: String(input.adults),
+    child11: String(input.child11),
+    child6: String(input.child6),
+    child3: String(input.child3),
+    total: String(input.amount),
+    comment: input.comment,
+    detail: input.comment,
+    discountReason: input.discountReason,
+    payMethod: input.payMethod,
+    lang: input.lang,
+    captureMethod: 'automatic',
+    cancelToken: crypto.randomBytes(16).toString('hex'),
+    viewToken: crypto.randomBytes(16).toString('hex'),
+    holdId: inventory.holdId,
+    createdBy: 'custom',
+    createdByAdmin: admin.name,
+  };
+
+  const paymentMethodTypes = input.payMethod === 'both' ? ['card', 'konbini'] : [input.payMethod];
+
+  let session;
+  try {
+    session = await stripe.checkout.sessions.create({
       mode: 'payment',
-      customer_email: email,
+      locale: input.lang,
+      payment_method_types: paymentMethodTypes,
+      customer_email: input.email,
       line_items: [
         {
           price_data: {
             currency: 'jpy',
-            product_data: { name: '個別予約' },
-            unit_amount: Number(amount),
+            product_data: { name: t_(input.lang, 'CUSTOM_ITEM_NAME') },
+            unit_amount: input.amount,
           },
           quantity: 1,
         },
       ],
       metadata,
-      success_url: 'https://stay-oceanus.com/success.html',
+      expires_at: expiresAt,
+      success_url: bookingSuccessUrl_(bookingSuccessBaseUrl_(req), metadata.viewToken),
       cancel_url: 'https://stay-oceanus.com/cancel.html',
     });
+  } catch (e) {
+    releaseInventoryHold_({ holdId: inventory.holdId }, 'custom link create failed');
+    throw e;
+  }
 
-    // ✅ GASへ転送（仮登録）
-    await fetch(gasWebhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        type: 'provisional_reservation',
-        sessionId: session.id,
-        reservation_json: JSON.stringify({
-          comment,
-          checkin,
-          checkout,
-          amount,
-          email,
-          createdBy: 'custom',
-        }),
-      }),
-    });
+  bindInventoryHoldToSession_(inventory.holdId, session.id);
+
+  const state = customLinkStore.get();
+  const link = {
+    sessionId: session.id,
+    url: session.url,
+    status: 'open',
+    checkin: input.checkin,
+    checkout: input.checkout,
+    amount: input.amount,
+    email: input.email,
+    guestName: [input.lastName, input.firstName].filter(Boolean).join(' '),
+    discountReason: input.discountReason,
+    comment: input.comment,
+    holdId: inventory.holdId,
+    createdBy: admin.name,
+    createdAt: Date.now(),
+    expiresAt: expiresAt * 1000,
+  };
+  state.links[session.id] = link;
+  customLinkStore.save();
+
+  // ✅ GASへ転送（仮登録）
+  await notifyEvent_({
+    type: 'provisional_reservation',
+    data: { object: session },
+    reservation: {
+      comment: input.comment,
+      checkin: input.checkin,
+      checkout: input.checkout,
+      amount: input.amount,
+      email: input.email,
+      phone: input.phone,
+      guestName: link.guestName,
+      adults: input.adults,
+      child11: input.child11,
+      child6: input.child6,
+      child3: input.child3,
+      discountReason: input.discountReason,
+      expiresAt: link.expiresAt,
+      createdBy: 'custom',
+      createdByAdmin: admin.name,
+    },
+  });
 
-    return res.json({ url: session.url });
+  console.log(`🔗 Custom payment link created by ${admin.name}: ${session.id} ${input.checkin}..${input.checkout} ¥${input.amount}`);
+  return { ok: true, link };
+}
+
+// ✅ 個別決済リンク発行
+app.post('/admin/custom-links', requireAdmin_('operator'), async (req, res) => {
+  try {
+    const result = await createCustomPaymentLink_(req, req.body || {}, req.admin);
+    if (!result.ok) {
+      return res.status(result.status).json({ ok: false, code: result.code, error: result.error });
+    }
+    return res.json({ ok: true, link: result.link });
+  } catch (e) {
+    console.error('❌ Custom link error:', e.stack);
+    return res.status(500).json({ ok: false, error: 'Session creation failed' });
+  }
+});
+
+// ✅ 旧エンドポイント（互換用。/admin/custom-links と同じ処理）
+app.post('/create-custom-session', requireAdmin_('operator'), async (req, res) => {
+  try {
+    const result = await createCustomPaymentLink_(req, req.body || {}, req.admin);
+    if (!result.ok) {
+      return res.status(result.status).json({ code: result.code, error: result.error });
+    }
+    return res.json({ url: result.link.url });
   } catch (error) {
     console.error('❌ Custom session error:', error.stack);
     return res.status(500).json({ error: 'Session creation failed' });
   }
 });
 
+// ✅ 個別決済リンク一覧（既定は未決済のもの。?status=all で全件）
+app.get('/admin/custom-links', requireAdmin_('readonly'), (req, res) => {
+  const wanted = String(req.query.status || 'open');
+  const links = Object.values(customLinkStore.get().links)
+    .map((link) => ({ ...link, status: effectiveCustomLinkStatus_(link) }))
+    .filter((link) => wanted === 'all' || link.status === wanted)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  res.json({ ok: true, links });
+});
+
+// ✅ 個別決済リンク取り消し（Checkout Session を expire して仮押さえを解放）
+app.post('/admin/custom-links/:sessionId/revoke', requireAdmin_('operator'), async (req, res) => {
+  const sessionId = String(req.params.sessionId);
+
+  try {
+    const result = await withKeyedLock_(`session:${sessionId}`, async () => {
+      const link = getCustomLink_(sessionId);
+      if (!link) return { status: 404, body: { ok: false, error: 'Link not found' } };
+
+      if (link.status !== 'open') {
+        return { status: 409, body: { ok: false, error: `Link is already ${link.status}` } };
+      }
+
+      let session;
+      try {
+        session = await stripe.checkout.sessions.expire(sessionId);
+      } catch (e) {
+        // 期限切れ・完了済みのセッションは expire できない
+        const current = await stripe.checkout.sessions.retrieve(sessionId);
+        if (current.status !== 'expired') {
+          return { status: 409, body: { ok: false, error: `Session is ${current.status}: ${e.message}` } };
+        }
+        session = current;
+      }
+
+      // expired webhook 側で二重に通知しないよう先に revoked にする
+      updateCustomLinkStatus_(sessionId, 'revoked', { revokedBy: req.admin.name, revokedAt: Date.now() });
+      releaseInventoryHoldForSession_(session, 'custom link revoked');
+
+      await notifyEvent_({
+        type: 'custom_link_revoked',
+        data: { object: session },
+        payment_status: 'キャンセル',
+        cancel_reason: 'revoked_by_staff',
+        revoked_by: req.admin.name,
+      });
+
+      console.log(`🚫 Custom payment link revoked by ${req.admin.name}: ${sessionId}`);
+      return { status: 200, body: { ok: true, sessionId } };
+    });
+
+    return res.status(result.status).json(result.body);
+  } catch (e) {
+    console.error('❌ Custom link revoke error:', e.message);
+    return res.status(500).json({ ok: false, error: String(e.message || e) });
+  }
+});
+
 // ✅ ヘルスチェック
 app.get('/health', (_req, res) => {
-  res.json({ status: 'ok', mode });
+  res.json({ status: 'ok', mode, beds24: { circuit: beds24Circuit.state } });
 });
 
 // ✅ Beds24 接続テスト
-app.get('/test-beds24', async (_req, res) => {
+app.get('/test-beds24', requireAdmin_('readonly'), async (_req, res) => {
   try {
     const token = await beds24GetAccessToken();
-    res.json({ success: true, tokenPreview: token.slice(0, 12) + '...' });
+    res.json({
+      success: true,
+      tokenPreview: token.slice(0, 12) + '...',
+      circuit: { ...beds24Circuit },
+      degradedPolicy: BEDS24_DEGRADED_POLICY,
+    });
   } catch (e) {
     res.status(500).json({ success: false, error: String(e.message || e) });
   }
 });
 
 // ✅ Beds24 在庫判定テスト（本番と同じ判定）
-app.get('/test-beds24-availability', async (req, res) => {
+app.get('/test-beds24-availability', requireAdmin_('readonly'), async (req, res) => {
   try {
     const checkin = String(req.query.checkin || '');
     const checkout = String(req.query.checkout || '');
@@ -1455,12 +6009,25 @@ app.get('/test-beds24-availability', async (req, res) => {
       });
     }
 
+    // 受付ルールに反する日程は Beds24 に問い合わせずに返す
+    const rules = evaluateBookingRules_(checkin, checkout);
+    if (!rules.ok) {
+      return res.json({
+        success: true,
+        checkin,
+        checkout,
+        rules,
+        result: { ok: false, reason: rules.code },
+      });
+    }
+
     const result = await beds24CheckAvailability(checkin, checkout);
 
     return res.json({
       success: true,
       checkin,
       checkout,
+      rules,
       result
     });
   } catch (e) {
@@ -1472,10 +6039,8 @@ app.get('/test-beds24-availability', async (req, res) => {
 });
 
 // ✅ Beds24 カレンダー返り値確認用
-app.get('/test-beds24-calendar', async (req, res) => {
+app.get('/test-beds24-calendar', requireAdmin_('readonly'), async (req, res) => {
   try {
-    const token = await beds24GetAccessToken();
-
     if (!BEDS24_ROOM_ID) throw new Error('Missing BEDS24_ROOM_ID');
 
     const from = String(req.query.from || '');
@@ -1488,20 +6053,12 @@ app.get('/test-beds24-calendar', async (req, res) => {
       });
     }
 
-    const url = new URL(`${BEDS24_BASE_URL}/inventory/rooms/calendar`);
-    url.searchParams.set('roomId', String(BEDS24_ROOM_ID));
-    url.searchParams.set('from', from);
-    url.searchParams.set('to', to);
-
-    const r = await fetch(url.toString(), {
-      method: 'GET',
-      headers: {
-        accept: 'application/json',
-        token,
-      },
+    const r = await beds24Request_('GET', '/inventory/rooms/calendar', {
+      label: 'calendar test',
+      query: { roomId: BEDS24_ROOM_ID, from, to },
     });
 
-    const text = await r.text();
+    const text = r.text;
 
     let json;
     try {
@@ -1512,7 +6069,7 @@ app.get('/test-beds24-calendar', async (req, res) => {
 
     return res.status(r.ok ? 200 : 500).json({
       success: r.ok,
-      requestUrl: url.toString(),
+      requestUrl: r.url,
       roomId: BEDS24_ROOM_ID,
       from,
       to,
@@ -1527,16 +6084,10 @@ app.get('/test-beds24-calendar', async (req, res) => {
   }
 });
 
-app.get('/debug-beds24-token', async (_req, res) => {
-  try {
-    const token = await beds24GetAccessToken();
-    res.json({ success: true, token });
-  } catch (e) {
-    res.status(500).json({ success: false, error: String(e.message || e) });
-  }
-});
-
 // ✅ サーバー起動
 app.listen(port, () => {
   console.log(`🌐 Server listening on port ${port}`);
+  startOutboxWorker_();
+  startCaptureScheduler_();
+  startBeds24SnapshotScheduler_();
 });
\ No newline at end of file